@@ -0,0 +1,1404 @@
+/**
+ * Bubble Shooter - Headless game core
+ * All game rules on the odd-r hex grid, with no canvas, DOM or localStorage access.
+ * Every function takes an explicit config (level geometry and rules) and state
+ * (board, queue, score), so the same simulation runs in the browser and in Node.
+ *
+ * Browser: loaded before game.js, exposes window.BubbleCore
+ * Node:    const BubbleCore = require('./game-core.js');
+ */
+
+(function (root) {
+    'use strict';
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    // Defaults match the 800x600 canvas used by game.js
+    const DEFAULT_CONFIG = {
+        width: 800,              // Playfield width in pixels
+        rows: 16,                // 14 visible + 2 buffer rows
+        cols: 10,
+        radius: 38,
+        loseRow: 7,              // Any bubble in this row ends the game
+        loseLineY: 540,          // Any bubble center at or below this y ends the game
+        numColors: 6,
+        shooterX: 400,
+        shooterY: 560,
+        projectileSpeed: 900,    // pixels per second
+        pressureMode: 'rows',    // 'rows': new row after shotsBeforeNewRow misses; 'ceiling': see below
+        shotsBeforeNewRow: 5,
+        ceilingDropShots: 8,     // 'ceiling' mode: the ceiling lowers one row height every N shots
+        clusterMinSize: 3,
+        initialRows: 5,          // Rows filled at start when there is no layout
+        layout: null,            // Optional hand-painted starting rows (color IDs, special IDs or null)
+        specialBubbles: [],      // Special types this level uses (see SPECIAL_BUBBLES)
+        specialChance: 0.08,     // Chance a randomly filled cell is a special bubble
+        bombRadius: 2,           // Cells (hex steps) cleared around a detonated bomb
+        pointsPerPop: 10,
+        pointsPerDrop: 20,
+        bounceBonus: 0.25,       // Extra multiplier per wall bounce before landing
+        comboBonus: 0.5,         // Extra multiplier per consecutive popping shot after the first
+        maxComboMultiplier: 3,
+        bigDropSize: 5,          // Dropping at least this many bubbles in one shot...
+        bigDropBonus: 100,       // ...earns this flat bonus
+        maxSwaps: null,          // Current/next swaps allowed per game (null = unlimited, 0 = off)
+        objective: 'clear',      // Win condition besides clearing the board (see OBJECTIVES)
+        shotLimit: null,         // Shots allowed before the game is lost (null = no limit)
+        targetScore: 1000,       // 'score' objective
+        surviveRows: 5           // 'survive' objective: new rows or ceiling drops to outlast
+    };
+
+    // Sources of points, tallied per shot (placeBubble result) and per game (state.scoreBreakdown)
+    const SCORE_SOURCES = ['clusters', 'drops', 'bounces', 'combos', 'bigDrops'];
+
+    // Special bubbles have no color; the grid holds their id instead of a color ID.
+    // - bomb:    detonates when a shot lands next to it (or a blast reaches it),
+    //            clearing everything but stone and targets within bombRadius
+    // - rainbow: wildcard, joins a cluster of any color
+    // - stone:   never pops and never counts toward the win; only falls when disconnected
+    // - ice:     cracks on the first pop next to it and shatters on the second
+    // - target:  never pops and survives bombs; must be dropped (the 'targets' objective)
+    const SPECIAL_BUBBLES = ['bomb', 'rainbow', 'stone', 'ice', 'target'];
+
+    // Ways to win a level. Clearing the board always wins; the objective adds:
+    // - clear:   nothing else (pair with shotLimit for "clear within N shots")
+    // - score:   reach config.targetScore
+    // - targets: drop every target bubble
+    // - survive: outlast config.surviveRows new rows or ceiling drops
+    const OBJECTIVES = ['clear', 'score', 'targets', 'survive'];
+
+    // Ways a level adds pressure (config.pressureMode)
+    const PRESSURE_MODES = ['rows', 'ceiling'];
+
+    // Trajectory preview a level shows (game.js draws it from predictTrajectory):
+    // 'off', 'bounce' (up to the first wall bounce) or 'full'
+    const AIM_GUIDE_MODES = ['off', 'bounce', 'full'];
+    const CRACKED_ICE = 'ice-cracked';
+
+    // Gameplay rules a level may override (config key -> allowed range, see pickLevelRules)
+    // Integer rules have step 1; the bonus multipliers take fractions
+    const LEVEL_RULES = {
+        numColors: { min: 2, max: 10, step: 1 },
+        clusterMinSize: { min: 2, max: 6, step: 1 },
+        initialRows: { min: 1, max: 10, step: 1 },
+        shotsBeforeNewRow: { min: 1, max: 20, step: 1 },
+        projectileSpeed: { min: 300, max: 2000, step: 1 },
+        pointsPerPop: { min: 0, max: 1000, step: 1 },
+        pointsPerDrop: { min: 0, max: 1000, step: 1 },
+        bounceBonus: { min: 0, max: 2, step: 0.05 },
+        comboBonus: { min: 0, max: 2, step: 0.05 },
+        maxComboMultiplier: { min: 1, max: 10, step: 1 },
+        bigDropSize: { min: 2, max: 50, step: 1 },
+        bigDropBonus: { min: 0, max: 10000, step: 1 }
+    };
+
+    // Grid of each built-in level as shipped. admin.html can change them in one browser,
+    // but the leaderboard server always scores levels 1-3 with these.
+    const BUILT_IN_LEVELS = {
+        1: { cols: 10, radius: 38, loseRow: 7 },
+        2: { cols: 16, radius: 24, loseRow: 12 },
+        3: { cols: 24, radius: 16, loseRow: 13 }
+    };
+
+    // Marks a current/next swap in state.shotLog (every other entry is an aim angle)
+    const SWAP = 'swap';
+
+    const PHYSICS_STEP = 1 / 240; // Fixed simulation step (seconds) so shots replay identically
+    const MAX_SHOT_STEPS = 20000; // Safety cap for simulateShot()
+    const MAX_CONTACTS_PER_STEP = 8; // Wall bounces handled within one updateProjectile() call
+    const MAX_TRAJECTORY_CONTACTS = 64; // Safety cap for predictTrajectory() (near-horizontal shots)
+
+    // ============================================================================
+    // SEEDED RANDOM NUMBER GENERATOR (LCG)
+    // ============================================================================
+
+    class SeededRNG {
+        constructor(seed) {
+            this.seed = seed;
+            this.state = seed;
+        }
+
+        // Linear Congruential Generator
+        next() {
+            // Parameters from Numerical Recipes
+            this.state = (this.state * 1664525 + 1013904223) >>> 0;
+            return this.state / 0xFFFFFFFF;
+        }
+
+        nextInt(min, max) {
+            return Math.floor(this.next() * (max - min + 1)) + min;
+        }
+
+        reset() {
+            this.state = this.seed;
+        }
+
+        setSeed(seed) {
+            this.seed = seed;
+            this.state = seed;
+        }
+    }
+
+    /**
+     * 32-bit FNV-1a hash, used to turn text into an RNG seed or a config version
+     */
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ============================================================================
+    // SETUP
+    // ============================================================================
+
+    /**
+     * The valid entries of a level's saved rule overrides (see LEVEL_RULES).
+     * Unknown keys, non-numbers and out-of-range values are dropped.
+     */
+    function pickLevelRules(rules) {
+        const picked = {};
+        if (!rules || typeof rules !== 'object') return picked;
+
+        for (const [name, range] of Object.entries(LEVEL_RULES)) {
+            const value = rules[name];
+            if (typeof value !== 'number' || !(value >= range.min && value <= range.max)) continue;
+            if (range.step === 1 && !Number.isInteger(value)) continue;
+            picked[name] = value;
+        }
+        return picked;
+    }
+
+    /**
+     * Snap a value typed into a rule field to the rule's step and range, so the editors
+     * save exactly what pickLevelRules will use. Returns null for a non-number.
+     */
+    function snapLevelRule(name, value) {
+        const { min, max, step } = LEVEL_RULES[name];
+        if (typeof value !== 'number' || Number.isNaN(value)) return null;
+        const snapped = Math.min(max, Math.max(min, Math.round(value / step) * step));
+        return Number(snapped.toFixed(2)); // 7 * 0.05 is 0.35000000000000003
+    }
+
+    /**
+     * Check a level's saved rule overrides against LEVEL_RULES. Unlike pickLevelRules,
+     * which skips bad entries, any unknown rule or off-step value is an error.
+     * Returns an error message, or null if every rule is allowed.
+     */
+    function validateLevelRules(rules) {
+        if (rules === null || rules === undefined) return null;
+        if (typeof rules !== 'object' || Array.isArray(rules)) return 'rules must be an object';
+
+        for (const [name, value] of Object.entries(rules)) {
+            if (!LEVEL_RULES[name]) return `unknown rule ${name}`;
+            if (snapLevelRule(name, value) !== value) {
+                const { min, max, step } = LEVEL_RULES[name];
+                return `${name} must be ${min}-${max} in steps of ${step}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a starting layout: null, or rows (arrays) of cells that are null, a color ID
+     * below colorCount or one of the given special types.
+     * Returns an error message, or null if the layout can be loaded.
+     */
+    function validateLayout(layout, colorCount, specialBubbles) {
+        if (layout === null || layout === undefined) return null;
+        if (!Array.isArray(layout)) return 'layout must be a list of rows';
+
+        for (let row = 0; row < layout.length; row++) {
+            if (!Array.isArray(layout[row])) return `layout row ${row + 1} is not a list`;
+            const bad = layout[row].find(value => value !== null &&
+                !(Number.isInteger(value) && value >= 0 && value < colorCount) && !specialBubbles.includes(value));
+            if (bad !== undefined) return `layout row ${row + 1} has an unknown bubble ${JSON.stringify(bad)}`;
+        }
+        return null;
+    }
+
+    /**
+     * Check the gameplay settings a custom level (and a replay of it) carries under their
+     * config names: aim guide, pressure, swaps, objective, specials, rules and layout. Missing or
+     * null settings are fine, they keep their defaults. colorCount is how many bubble
+     * colors the layout may use. Returns an error message, or null if they are all valid.
+     */
+    function validateLevelSettings(settings, colorCount) {
+        const isSet = name => settings[name] !== undefined && settings[name] !== null;
+        const isPositive = value => Number.isInteger(value) && value > 0;
+
+        if (isSet('aimGuide') && !AIM_GUIDE_MODES.includes(settings.aimGuide)) return 'unknown aim guide';
+        if (isSet('pressureMode') && !PRESSURE_MODES.includes(settings.pressureMode)) return 'unknown pressure mode';
+        for (const name of ['ceilingDropShots', 'shotLimit', 'targetScore', 'surviveRows']) {
+            if (isSet(name) && !isPositive(settings[name])) return `${name} must be a whole number above 0`;
+        }
+        if (isSet('maxSwaps') && !(Number.isInteger(settings.maxSwaps) && settings.maxSwaps >= 0)) {
+            return 'maxSwaps must be a whole number';
+        }
+        if (isSet('objective') && !OBJECTIVES.includes(settings.objective)) return 'unknown objective';
+
+        const specials = isSet('specialBubbles') ? settings.specialBubbles : [];
+        if (!Array.isArray(specials) || !specials.every(type => SPECIAL_BUBBLES.includes(type))) {
+            return 'unknown special bubbles';
+        }
+        return validateLevelRules(settings.rules) || validateLayout(settings.layout, colorCount, specials);
+    }
+
+    /**
+     * Build a level config, filling anything not given from DEFAULT_CONFIG
+     */
+    function createGameConfig(options = {}) {
+        return Object.assign({}, DEFAULT_CONFIG, options);
+    }
+
+    /**
+     * Random bubble for a filled cell: a color, or sometimes one of the level's special bubbles
+     * (no extra random draw when the level has none, so plain boards stay seed-compatible)
+     */
+    function randomBubble(config, rng) {
+        // Targets only come from the layout, so the targets goal can't keep growing
+        const specials = config.specialBubbles.filter(type => type !== 'target');
+        if (specials.length > 0 && rng.next() < config.specialChance) {
+            return specials[rng.nextInt(0, specials.length - 1)];
+        }
+        return rng.nextInt(0, config.numColors - 1);
+    }
+
+    /**
+     * Whether a layout/grid value is usable on this level (a color in play or an enabled special)
+     */
+    function isValidBubble(config, value) {
+        if (typeof value === 'number') return value >= 0 && value < config.numColors;
+        return config.specialBubbles.includes(value);
+    }
+
+    /**
+     * Create a fresh game: empty grid, starting rows (layout or random) and bubble queue
+     */
+    function createGameState(config, seed) {
+        const rng = new SeededRNG(seed >>> 0);
+
+        const grid = [];
+        for (let row = 0; row < config.rows; row++) {
+            grid[row] = [];
+            for (let col = 0; col < config.cols; col++) {
+                grid[row][col] = null;
+            }
+        }
+
+        const layout = config.layout;
+        if (layout) {
+            for (let row = 0; row < Math.min(layout.length, config.rows); row++) {
+                for (let col = 0; col < Math.min(layout[row].length, config.cols); col++) {
+                    const value = layout[row][col];
+                    if (isValidBubble(config, value)) {
+                        grid[row][col] = value;
+                    }
+                }
+            }
+        } else {
+            for (let row = 0; row < config.initialRows; row++) {
+                for (let col = 0; col < config.cols; col++) {
+                    grid[row][col] = randomBubble(config, rng);
+                }
+            }
+        }
+
+        return {
+            grid,                        // 2D array [row][col] of color IDs, special IDs or null
+            projectile: null,            // {x, y, vx, vy, color, active, bounceCount}
+            currentBubble: rng.nextInt(0, config.numColors - 1),
+            nextBubble: rng.nextInt(0, config.numColors - 1),
+            score: 0,
+            scoreBreakdown: createScoreBreakdown(),
+            combo: 0,                    // Consecutive shots that popped something
+            shots: 0,
+            swaps: 0,                    // Current/next swaps used (see config.maxSwaps)
+            shotsWithoutPop: 0,
+            shotsSinceCeilingDrop: 0,    // 'ceiling' pressure mode counters
+            ceilingDrops: 0,             // Rows the ceiling has lowered (see getCeilingOffset)
+            rowsAdded: 0,                // New rows pushed in ('rows' pressure mode)
+            seed: rng.seed,              // RNG seed this game was started with
+            rng,
+            shotLog: [],                 // Aim angle of every shot fired, or SWAP (for replays)
+            gameOver: false,
+            gameWon: false,
+            outOfShots: false            // Lost because config.shotLimit ran out
+        };
+    }
+
+    // Everything in a game state except the RNG, which is saved as { seed, state }
+    const SAVED_STATE_FIELDS = [
+        'grid', 'projectile', 'currentBubble', 'nextBubble',
+        'score', 'scoreBreakdown', 'combo', 'shots', 'swaps',
+        'shotsWithoutPop', 'shotsSinceCeilingDrop', 'ceilingDrops', 'rowsAdded',
+        'seed', 'shotLog', 'gameOver', 'gameWon', 'outOfShots'
+    ];
+
+    /**
+     * Plain-JSON snapshot of a game state, so an unfinished game can be saved and resumed
+     */
+    function serializeState(state) {
+        const data = {};
+        for (const field of SAVED_STATE_FIELDS) {
+            data[field] = state[field];
+        }
+        data.rng = { seed: state.rng.seed, state: state.rng.state };
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Rebuild a game state from serializeState() output; it continues exactly where it left off
+     */
+    function restoreState(data) {
+        const copy = JSON.parse(JSON.stringify(data));
+        const state = {};
+        for (const field of SAVED_STATE_FIELDS) {
+            state[field] = copy[field];
+        }
+        state.rng = new SeededRNG(copy.rng.seed);
+        state.rng.state = copy.rng.state;
+        return state;
+    }
+
+    // ============================================================================
+    // HEX GRID HELPERS
+    // ============================================================================
+
+    function getRowHeight(config) {
+        return config.radius * Math.sqrt(3);
+    }
+
+    /**
+     * How far the ceiling (and the whole grid with it) has lowered, in pixels
+     * Geometry helpers take the state as an optional last argument; without it the
+     * grid sits at its starting position.
+     */
+    function getCeilingOffset(config, state) {
+        return state && state.ceilingDrops ? state.ceilingDrops * getRowHeight(config) : 0;
+    }
+
+    /**
+     * Convert grid coordinates to world (canvas) pixel position
+     * Uses odd-r offset: odd rows are shifted right by radius
+     */
+    function gridToWorld(config, row, col, state = null) {
+        const radius = config.radius;
+        const x = col * radius * 2 + radius + (row % 2 === 1 ? radius : 0);
+        const y = row * getRowHeight(config) + radius + getCeilingOffset(config, state);
+        return { x, y };
+    }
+
+    /**
+     * Convert world (canvas) position to nearest grid cell
+     */
+    function worldToGrid(config, x, y, state = null) {
+        const radius = config.radius;
+
+        // Approximate row
+        let row = Math.round((y - radius - getCeilingOffset(config, state)) / getRowHeight(config));
+        row = Math.max(0, Math.min(row, config.rows - 1));
+
+        // Adjust x for odd row offset
+        const offsetX = row % 2 === 1 ? radius : 0;
+        let col = Math.round((x - radius - offsetX) / (radius * 2));
+        col = Math.max(0, Math.min(col, config.cols - 1));
+
+        return { row, col };
+    }
+
+    /**
+     * Get the 6 neighbors for a hex cell in odd-r offset coordinates
+     */
+    function getNeighbors(config, row, col) {
+        const neighbors = [];
+
+        // Neighbor offsets differ based on whether row is even or odd
+        const isOddRow = row % 2 === 1;
+
+        // Direction offsets for odd-r hex grid
+        // [row offset, col offset for even rows, col offset for odd rows]
+        const directions = [
+            [-1, -1, 0],   // Top-left
+            [-1, 0, 1],    // Top-right
+            [0, -1, -1],   // Left
+            [0, 1, 1],     // Right
+            [1, -1, 0],    // Bottom-left
+            [1, 0, 1]      // Bottom-right
+        ];
+
+        for (const [dRow, evenColOffset, oddColOffset] of directions) {
+            const newRow = row + dRow;
+            const newCol = col + (isOddRow ? oddColOffset : evenColOffset);
+
+            // Check bounds
+            if (newRow >= 0 && newRow < config.rows && newCol >= 0 && newCol < config.cols) {
+                neighbors.push({ row: newRow, col: newCol });
+            }
+        }
+
+        return neighbors;
+    }
+
+    function inBounds(config, row, col) {
+        return row >= 0 && row < config.rows && col >= 0 && col < config.cols;
+    }
+
+    /**
+     * Check if a grid cell is occupied
+     */
+    function isOccupied(config, state, row, col) {
+        return inBounds(config, row, col) && state.grid[row][col] !== null;
+    }
+
+    /**
+     * Check if a grid cell is valid and empty
+     */
+    function isValidEmpty(config, state, row, col) {
+        return inBounds(config, row, col) && state.grid[row][col] === null;
+    }
+
+    // ============================================================================
+    // CLUSTER DETECTION (BFS)
+    // ============================================================================
+
+    /**
+     * Whether a grid value joins a cluster of the given color (rainbow bubbles match any color)
+     */
+    function matchesColor(value, color) {
+        return value === color || value === 'rainbow';
+    }
+
+    /**
+     * Find all connected bubbles of the same color starting from (row, col)
+     * Rainbow bubbles join (and connect through) the cluster
+     */
+    function findCluster(config, state, row, col, color) {
+        if (!isOccupied(config, state, row, col) || state.grid[row][col] !== color) {
+            return [];
+        }
+
+        const cluster = [];
+        const visited = new Set();
+        const queue = [{ row, col }];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const key = `${current.row},${current.col}`;
+
+            if (visited.has(key)) continue;
+            visited.add(key);
+
+            if (!matchesColor(state.grid[current.row][current.col], color)) continue;
+
+            cluster.push(current);
+
+            // Add unvisited neighbors with same color
+            for (const neighbor of getNeighbors(config, current.row, current.col)) {
+                const nKey = `${neighbor.row},${neighbor.col}`;
+                if (!visited.has(nKey) && matchesColor(state.grid[neighbor.row][neighbor.col], color)) {
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return cluster;
+    }
+
+    /**
+     * Find all bubbles connected to the ceiling (row 0)
+     * Returns a Set of "row,col" keys
+     */
+    function findConnectedToCeiling(config, state) {
+        const connected = new Set();
+        const queue = [];
+
+        // Start from all occupied cells in row 0
+        for (let col = 0; col < config.cols; col++) {
+            if (isOccupied(config, state, 0, col)) {
+                queue.push({ row: 0, col });
+                connected.add(`0,${col}`);
+            }
+        }
+
+        // BFS to find all connected bubbles
+        while (queue.length > 0) {
+            const current = queue.shift();
+
+            for (const neighbor of getNeighbors(config, current.row, current.col)) {
+                const key = `${neighbor.row},${neighbor.col}`;
+                if (!connected.has(key) && isOccupied(config, state, neighbor.row, neighbor.col)) {
+                    connected.add(key);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return connected;
+    }
+
+    /**
+     * Remove floating bubbles and return the removed cells ({row, col, color})
+     */
+    function removeFloatingBubbles(config, state) {
+        const connectedToCeiling = findConnectedToCeiling(config, state);
+        const removed = [];
+
+        for (let row = 0; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                if (isOccupied(config, state, row, col) && !connectedToCeiling.has(`${row},${col}`)) {
+                    removed.push({ row, col, color: state.grid[row][col] });
+                    state.grid[row][col] = null;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    // ============================================================================
+    // SPECIAL BUBBLES
+    // ============================================================================
+
+    /**
+     * All cells within `steps` hex steps of (row, col), including it
+     */
+    function getCellsWithin(config, row, col, steps) {
+        const cells = [{ row, col }];
+        const seen = new Set([`${row},${col}`]);
+        let ring = cells.slice();
+
+        for (let step = 0; step < steps; step++) {
+            const nextRing = [];
+            for (const cell of ring) {
+                for (const neighbor of getNeighbors(config, cell.row, cell.col)) {
+                    const key = `${neighbor.row},${neighbor.col}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        nextRing.push(neighbor);
+                    }
+                }
+            }
+            cells.push(...nextRing);
+            ring = nextRing;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Cells cleared by detonating the given bombs, including bombs set off by the blast
+     * Stone and targets survive; the bombs themselves are part of the result
+     */
+    function findBlast(config, state, bombs) {
+        const blasted = new Map();
+        const detonated = new Set();
+        const queue = bombs.slice();
+
+        while (queue.length > 0) {
+            const bomb = queue.shift();
+            const bombKey = `${bomb.row},${bomb.col}`;
+            if (detonated.has(bombKey)) continue;
+            detonated.add(bombKey);
+
+            for (const cell of getCellsWithin(config, bomb.row, bomb.col, config.bombRadius)) {
+                const value = state.grid[cell.row][cell.col];
+                if (value === null || value === 'stone' || value === 'target') continue;
+
+                blasted.set(`${cell.row},${cell.col}`, cell);
+                if (value === 'bomb') queue.push(cell);
+            }
+        }
+
+        return [...blasted.values()];
+    }
+
+    /**
+     * Hit each ice bubble next to a popped cell once: ice cracks, cracked ice shatters
+     * Returns the shattered cells (still on the grid, for the caller to clear)
+     */
+    function hitIce(config, state, popped) {
+        const poppedKeys = new Set(popped.map(cell => `${cell.row},${cell.col}`));
+        const hit = new Set();
+        const shattered = [];
+
+        for (const cell of popped) {
+            for (const neighbor of getNeighbors(config, cell.row, cell.col)) {
+                const key = `${neighbor.row},${neighbor.col}`;
+                if (hit.has(key) || poppedKeys.has(key)) continue;
+
+                const value = state.grid[neighbor.row][neighbor.col];
+                if (value === 'ice') {
+                    state.grid[neighbor.row][neighbor.col] = CRACKED_ICE;
+                    hit.add(key);
+                } else if (value === CRACKED_ICE) {
+                    shattered.push(neighbor);
+                    hit.add(key);
+                }
+            }
+        }
+
+        return shattered;
+    }
+
+    /**
+     * Merge cell lists, dropping duplicates
+     */
+    function uniqueCells(...lists) {
+        const cells = new Map();
+        for (const list of lists) {
+            for (const cell of list) {
+                cells.set(`${cell.row},${cell.col}`, cell);
+            }
+        }
+        return [...cells.values()];
+    }
+
+    // ============================================================================
+    // COLLISION & SNAPPING
+    // ============================================================================
+
+    /**
+     * Occupied cells whose centers lie inside the given box: { row, col, x, y }
+     * Only the rows and columns overlapping the box are visited, so collision
+     * queries cost the same on a 30-column board as on a 10-column one.
+     */
+    function getOccupiedCellsInBox(config, state, minX, minY, maxX, maxY) {
+        const radius = config.radius;
+        const rowHeight = getRowHeight(config);
+        const top = radius + getCeilingOffset(config, state); // Center y of row 0
+        const cells = [];
+
+        const firstRow = Math.max(0, Math.ceil((minY - top) / rowHeight));
+        const lastRow = Math.min(config.rows - 1, Math.floor((maxY - top) / rowHeight));
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            const offsetX = row % 2 === 1 ? radius : 0;
+            const firstCol = Math.max(0, Math.ceil((minX - radius - offsetX) / (radius * 2)));
+            const lastCol = Math.min(config.cols - 1, Math.floor((maxX - radius - offsetX) / (radius * 2)));
+            const y = row * rowHeight + top;
+
+            for (let col = firstCol; col <= lastCol; col++) {
+                if (state.grid[row][col] !== null) {
+                    cells.push({ row, col, x: col * radius * 2 + radius + offsetX, y });
+                }
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Check if projectile collides with any bubble
+     * Returns the collided bubble's grid position or null
+     */
+    function checkBubbleCollision(config, state, px, py) {
+        const collisionDist = config.radius * 2;
+        const nearby = getOccupiedCellsInBox(config, state,
+            px - collisionDist, py - collisionDist, px + collisionDist, py + collisionDist);
+
+        for (const cell of nearby) {
+            const dx = px - cell.x;
+            const dy = py - cell.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < collisionDist) {
+                return { row: cell.row, col: cell.col };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the best empty cell to snap the projectile to
+     */
+    function snapProjectile(config, state, px, py, hitRow, hitCol) {
+        // Get all empty neighbors of the hit bubble
+        const neighbors = getNeighbors(config, hitRow, hitCol);
+        const emptyNeighbors = neighbors.filter(n => isValidEmpty(config, state, n.row, n.col));
+
+        if (emptyNeighbors.length === 0) {
+            // Fallback: find nearest empty cell
+            const nearest = worldToGrid(config, px, py, state);
+            if (isValidEmpty(config, state, nearest.row, nearest.col)) {
+                return nearest;
+            }
+            return null;
+        }
+
+        // Find the closest empty neighbor to the projectile position
+        let bestCell = null;
+        let bestDist = Infinity;
+
+        for (const cell of emptyNeighbors) {
+            const pos = gridToWorld(config, cell.row, cell.col, state);
+            const dx = px - pos.x;
+            const dy = py - pos.y;
+            const dist = dx * dx + dy * dy;
+
+            if (dist < bestDist) {
+                bestDist = dist;
+                bestCell = cell;
+            }
+        }
+
+        return bestCell;
+    }
+
+    /**
+     * Cell the projectile would snap to at (px, py), or null if it hasn't hit anything
+     */
+    function calculateSnapTarget(config, state, px, py) {
+        const hitCell = checkBubbleCollision(config, state, px, py);
+
+        if (hitCell) {
+            return snapProjectile(config, state, px, py, hitCell.row, hitCell.col);
+        }
+
+        // Check ceiling
+        const ceilingY = config.radius + getCeilingOffset(config, state);
+        if (py <= ceilingY) {
+            return worldToGrid(config, px, ceilingY, state);
+        }
+
+        return null;
+    }
+
+    // ============================================================================
+    // GAME LOGIC
+    // ============================================================================
+
+    /**
+     * Fire the current bubble at the given angle (radians, 0 = right, PI/2 = up)
+     * Returns false if a shot can't be fired right now
+     */
+    function fireBubble(config, state, aimAngle) {
+        if (state.projectile !== null || state.gameOver || state.gameWon) {
+            return false;
+        }
+
+        // Round the angle so replays stay compact; the rounded value is what gets fired and recorded
+        const angle = Math.round(aimAngle * 10000) / 10000;
+        const speed = config.projectileSpeed;
+
+        state.projectile = {
+            x: config.shooterX,
+            y: config.shooterY,
+            vx: Math.cos(angle) * speed,
+            vy: -Math.sin(angle) * speed, // Negative because canvas y is down
+            color: state.currentBubble,
+            active: true,
+            bounceCount: 0
+        };
+
+        // Cycle to next bubble
+        state.currentBubble = state.nextBubble;
+        state.nextBubble = state.rng.nextInt(0, config.numColors - 1);
+        state.shots++;
+        state.shotLog.push(angle);
+        return true;
+    }
+
+    /**
+     * Outcome of a shot; row/col stay null if the bubble found no cell to snap to
+     */
+    function createPlacementResult(row = null, col = null, color = null) {
+        return {
+            row, col, color,
+            popped: [], dropped: [],
+            points: 0, breakdown: createScoreBreakdown(), combo: 0,
+            newRow: false, ceilingDrop: false
+        };
+    }
+
+    function createScoreBreakdown() {
+        const breakdown = {};
+        for (const source of SCORE_SOURCES) {
+            breakdown[source] = 0;
+        }
+        return breakdown;
+    }
+
+    /**
+     * Score a popping shot into result.points / result.breakdown and add it to the game totals.
+     * Base points get the bounce multiplier, that total gets the combo multiplier,
+     * and a big drop adds a flat bonus on top.
+     */
+    function scorePlacement(config, state, result) {
+        const bounces = state.projectile ? state.projectile.bounceCount : 0;
+        const bounceMultiplier = 1 + bounces * config.bounceBonus;
+        const comboMultiplier = Math.min(1 + (state.combo - 1) * config.comboBonus, config.maxComboMultiplier);
+
+        const clusters = result.popped.length * config.pointsPerPop;
+        const drops = result.dropped.length * config.pointsPerDrop;
+        const withBounces = Math.floor(clusters * bounceMultiplier) + Math.floor(drops * bounceMultiplier);
+
+        const breakdown = result.breakdown;
+        breakdown.clusters = clusters;
+        breakdown.drops = drops;
+        breakdown.bounces = withBounces - clusters - drops;
+        breakdown.combos = Math.floor(withBounces * comboMultiplier) - withBounces;
+        breakdown.bigDrops = result.dropped.length >= config.bigDropSize ? config.bigDropBonus : 0;
+
+        for (const source of SCORE_SOURCES) {
+            result.points += breakdown[source];
+            state.scoreBreakdown[source] += breakdown[source];
+        }
+        state.score += result.points;
+    }
+
+    /**
+     * Place a bubble on the grid and process matches
+     * Returns what happened: { row, col, color, popped, dropped, points, breakdown, combo, newRow, ceilingDrop }
+     */
+    function placeBubble(config, state, row, col, color) {
+        if (!inBounds(config, row, col)) {
+            return null;
+        }
+
+        state.grid[row][col] = color;
+
+        const result = createPlacementResult(row, col, color);
+
+        // Find cluster of same color (rainbow bubbles count toward it)
+        const cluster = findCluster(config, state, row, col, color);
+        let popped = cluster.length >= config.clusterMinSize ? cluster : [];
+
+        // Bombs touching the new bubble go off
+        const bombs = getNeighbors(config, row, col).filter(n => state.grid[n.row][n.col] === 'bomb');
+        if (bombs.length > 0) {
+            popped = uniqueCells(popped, findBlast(config, state, bombs));
+        }
+
+        // Ice next to anything popped cracks, or shatters if already cracked
+        if (popped.length > 0) {
+            popped = popped.concat(hitIce(config, state, popped));
+        }
+
+        if (popped.length > 0) {
+            // Remove popped bubbles
+            result.popped = popped.map(cell => ({ row: cell.row, col: cell.col, color: state.grid[cell.row][cell.col] }));
+            for (const cell of popped) {
+                state.grid[cell.row][cell.col] = null;
+            }
+
+            // Remove floating bubbles
+            result.dropped = removeFloatingBubbles(config, state);
+
+            state.combo++;
+            result.combo = state.combo;
+            scorePlacement(config, state, result);
+        }
+
+        // Track shots without popping
+        if (result.popped.length > 0) {
+            state.shotsWithoutPop = 0;
+        } else {
+            state.shotsWithoutPop++;
+            state.combo = 0;
+        }
+
+        if (config.pressureMode === 'ceiling') {
+            // Every shot counts toward lowering the ceiling; no bubbles are added
+            state.shotsSinceCeilingDrop++;
+            if (state.shotsSinceCeilingDrop >= config.ceilingDropShots) {
+                state.ceilingDrops++;
+                state.shotsSinceCeilingDrop = 0;
+                result.ceilingDrop = true;
+            }
+        } else if (state.shotsWithoutPop >= config.shotsBeforeNewRow) {
+            // Add new row if threshold reached
+            addNewRow(config, state);
+            state.shotsWithoutPop = 0;
+            state.rowsAdded++;
+            result.newRow = true;
+        }
+
+        // Check game over
+        checkGameOver(config, state);
+
+        return result;
+    }
+
+    /**
+     * Add a new row at the top and shift everything down
+     */
+    function addNewRow(config, state) {
+        // Shift all rows down
+        for (let row = config.rows - 1; row > 0; row--) {
+            for (let col = 0; col < config.cols; col++) {
+                state.grid[row][col] = state.grid[row - 1][col];
+            }
+        }
+
+        // Generate new row at top
+        for (let col = 0; col < config.cols; col++) {
+            state.grid[0][col] = randomBubble(config, state.rng);
+        }
+    }
+
+    /**
+     * Count the grid cells holding the given value
+     */
+    function countBubbles(config, state, value) {
+        let count = 0;
+        for (let row = 0; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                if (state.grid[row][col] === value) count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Whether the level objective has been met (board clearing aside, see checkWin)
+     */
+    function isObjectiveMet(config, state) {
+        switch (config.objective) {
+            case 'score':
+                return state.score >= config.targetScore;
+            case 'targets':
+                return countBubbles(config, state, 'target') === 0;
+            case 'survive':
+                return state.rowsAdded + state.ceilingDrops >= config.surviveRows;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check if game is won: the objective is met, or all bubbles are cleared
+     * (stone can't be popped so it doesn't count)
+     */
+    function checkWin(config, state) {
+        if (isObjectiveMet(config, state)) {
+            state.gameWon = true;
+            return;
+        }
+        for (let row = 0; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                if (state.grid[row][col] !== null && state.grid[row][col] !== 'stone') {
+                    return; // Still bubbles remaining
+                }
+            }
+        }
+        state.gameWon = true;
+    }
+
+    /**
+     * Whether any bubble is at or below the lose row or the lose line
+     */
+    function isPastLoseLine(config, state) {
+        // The danger line stays put on screen, so each ceiling drop brings it one grid row closer
+        const firstLosingRow = Math.max(0, config.loseRow - state.ceilingDrops);
+        for (let row = firstLosingRow; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                if (isOccupied(config, state, row, col)) return true;
+            }
+        }
+
+        // Also check by y position
+        for (let row = 0; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                if (state.grid[row][col] !== null && gridToWorld(config, row, col, state).y >= config.loseLineY) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if game is over. Crossing the lose line loses even when the same shot meets
+     * the objective (on a 'survive' level, the row that reaches the target can push the
+     * board over the line); running out of shots only loses if the last shot didn't win.
+     */
+    function checkGameOver(config, state) {
+        if (isPastLoseLine(config, state)) {
+            state.gameOver = true;
+            return;
+        }
+
+        checkWin(config, state);
+        if (state.gameWon) return;
+
+        // Out of shots: the landing that used the last one didn't win
+        if (config.shotLimit !== null && state.shots >= config.shotLimit) {
+            state.gameOver = true;
+            state.outOfShots = true;
+        }
+    }
+
+    /**
+     * Earliest time in [0, maxT] at which a circle moving from (px, py) with velocity
+     * (vx, vy) comes within `dist` of (cx, cy), or null if it doesn't
+     */
+    function sweptCircleHit(px, py, vx, vy, cx, cy, dist, maxT) {
+        const dx = px - cx;
+        const dy = py - cy;
+        const c = dx * dx + dy * dy - dist * dist;
+        if (c < 0) return 0; // Already touching
+
+        const b = 2 * (dx * vx + dy * vy);
+        if (b >= 0) return null; // Moving away
+
+        const a = vx * vx + vy * vy;
+        const disc = b * b - 4 * a * c;
+        if (disc < 0) return null; // Passes by
+
+        const t = (-b - Math.sqrt(disc)) / (2 * a);
+        return t <= maxT ? t : null;
+    }
+
+    /**
+     * First thing the projectile touches within maxT seconds:
+     * { type: 'bubble' | 'wall' | 'ceiling', t, row?, col? } or null
+     */
+    function findFirstContact(config, state, proj, maxT) {
+        const radius = config.radius;
+        let first = null;
+
+        // Occupied cells (bubble-to-bubble contact at one diameter); only cells
+        // within a diameter of the swept segment's bounding box can be touched
+        const reach = radius * 2;
+        const endX = proj.x + proj.vx * maxT;
+        const endY = proj.y + proj.vy * maxT;
+        const nearby = getOccupiedCellsInBox(config, state,
+            Math.min(proj.x, endX) - reach, Math.min(proj.y, endY) - reach,
+            Math.max(proj.x, endX) + reach, Math.max(proj.y, endY) + reach);
+
+        for (const cell of nearby) {
+            const t = sweptCircleHit(proj.x, proj.y, proj.vx, proj.vy, cell.x, cell.y, reach, maxT);
+            if (t !== null && (!first || t < first.t)) {
+                first = { type: 'bubble', t, row: cell.row, col: cell.col };
+            }
+        }
+
+        // Side walls (a bubble touching at the same moment wins)
+        let wallT = null;
+        if (proj.vx < 0) wallT = (radius - proj.x) / proj.vx;
+        if (proj.vx > 0) wallT = (config.width - radius - proj.x) / proj.vx;
+        if (wallT !== null && wallT <= maxT && (!first || wallT < first.t)) {
+            first = { type: 'wall', t: Math.max(0, wallT) };
+        }
+
+        // Ceiling
+        if (proj.vy < 0) {
+            const ceilingY = radius + getCeilingOffset(config, state);
+            const ceilingT = Math.max(0, (ceilingY - proj.y) / proj.vy);
+            if (ceilingT <= maxT && (!first || ceilingT < first.t)) {
+                first = { type: 'ceiling', t: ceilingT };
+            }
+        }
+
+        return first;
+    }
+
+    /**
+     * Cell a projectile resting at a bubble or ceiling contact snaps into, or null
+     */
+    function getLandingCell(config, state, proj, contact) {
+        if (contact.type === 'bubble') {
+            return snapProjectile(config, state, proj.x, proj.y, contact.row, contact.col);
+        }
+
+        // Ceiling
+        const gridPos = worldToGrid(config, proj.x, config.radius + getCeilingOffset(config, state), state);
+        return isValidEmpty(config, state, gridPos.row, gridPos.col) ? gridPos : null;
+    }
+
+    /**
+     * Update projectile physics
+     * The path is swept against walls and occupied cells, so the bubble stops at its
+     * true first contact no matter how large dt is (no tunneling on frame hitches).
+     * Returns the placeBubble() result once the projectile lands, otherwise null
+     */
+    function updateProjectile(config, state, dt) {
+        const proj = state.projectile;
+        if (!proj || !proj.active) return null;
+
+        const radius = config.radius;
+        let remaining = dt;
+
+        // A long step can bounce off both walls before landing
+        for (let contacts = 0; contacts < MAX_CONTACTS_PER_STEP; contacts++) {
+            const contact = findFirstContact(config, state, proj, remaining);
+
+            if (!contact) {
+                proj.x += proj.vx * remaining;
+                proj.y += proj.vy * remaining;
+                return null;
+            }
+
+            // Move to the point of contact
+            proj.x += proj.vx * contact.t;
+            proj.y += proj.vy * contact.t;
+            remaining -= contact.t;
+
+            if (contact.type === 'wall') {
+                proj.x = proj.vx < 0 ? radius : config.width - radius;
+                proj.vx = -proj.vx;
+                proj.bounceCount++;
+                continue;
+            }
+
+            // Snap to grid
+            const cell = getLandingCell(config, state, proj, contact);
+            const result = cell ? placeBubble(config, state, cell.row, cell.col, proj.color) : null;
+            state.projectile = null;
+            return result || createPlacementResult();
+        }
+
+        return null;
+    }
+
+    /**
+     * Predict a shot at aimAngle without changing the game state (aim guide)
+     * Uses the same contacts, wall reflections and snapping as updateProjectile().
+     * Returns { points, bounces, target }: points runs from the shooter through each
+     * wall bounce to where the bubble stops; target is the {row, col} it would snap
+     * into. With maxBounces the path ends at that bounce and target is null unless
+     * the bubble lands first.
+     */
+    function predictTrajectory(config, state, aimAngle, maxBounces = Infinity) {
+        const angle = Math.round(aimAngle * 10000) / 10000;
+        const speed = config.projectileSpeed;
+        const proj = {
+            x: config.shooterX,
+            y: config.shooterY,
+            vx: Math.cos(angle) * speed,
+            vy: -Math.sin(angle) * speed
+        };
+        const points = [{ x: proj.x, y: proj.y }];
+        const horizon = config.width / speed; // Long enough to cross the board once
+        let bounces = 0;
+
+        for (let contacts = 0; contacts < MAX_TRAJECTORY_CONTACTS; contacts++) {
+            const contact = findFirstContact(config, state, proj, horizon);
+            const t = contact ? contact.t : horizon;
+            proj.x += proj.vx * t;
+            proj.y += proj.vy * t;
+
+            if (!contact) continue;
+
+            if (contact.type === 'wall') {
+                proj.x = proj.vx < 0 ? config.radius : config.width - config.radius;
+                proj.vx = -proj.vx;
+                points.push({ x: proj.x, y: proj.y });
+                bounces++;
+                if (bounces >= maxBounces) break;
+                continue;
+            }
+
+            points.push({ x: proj.x, y: proj.y });
+            return { points, bounces, target: getLandingCell(config, state, proj, contact) };
+        }
+
+        return { points, bounces, target: null };
+    }
+
+    /**
+     * Swaps left this game, or null when the level doesn't limit them
+     */
+    function getSwapsLeft(config, state) {
+        return config.maxSwaps === null ? null : Math.max(0, config.maxSwaps - state.swaps);
+    }
+
+    /**
+     * Exchange the current and next bubble. Allowed while a shot is in flight since
+     * neither bubble affects the landing, so replays can apply it after the shot.
+     */
+    function swapBubbles(config, state) {
+        if (state.gameOver || state.gameWon || getSwapsLeft(config, state) === 0) {
+            return false;
+        }
+
+        const current = state.currentBubble;
+        state.currentBubble = state.nextBubble;
+        state.nextBubble = current;
+        state.swaps++;
+        state.shotLog.push(SWAP);
+        return true;
+    }
+
+    /**
+     * Fire a shot and run fixed physics steps until it lands
+     * Returns the placement result, or null if the shot couldn't be fired
+     */
+    function simulateShot(config, state, aimAngle) {
+        if (!fireBubble(config, state, aimAngle)) return null;
+
+        for (let step = 0; step < MAX_SHOT_STEPS; step++) {
+            const result = updateProjectile(config, state, PHYSICS_STEP);
+            if (result) return result;
+        }
+
+        state.projectile = null;
+        return null;
+    }
+
+    /**
+     * Re-simulate a whole game from its seed and recorded aim angles and swaps
+     * (used for replays and server-side score verification)
+     */
+    function runShots(config, seed, shots) {
+        const state = createGameState(config, seed);
+        for (const entry of shots) {
+            if (state.gameOver || state.gameWon) break;
+            if (entry === SWAP) {
+                swapBubbles(config, state);
+            } else {
+                simulateShot(config, state, entry);
+            }
+        }
+        return state;
+    }
+
+    /**
+     * The config a recorded game was played with (see buildReplay in game.js).
+     * Sizes the game.js canvas fixes (width, shooter, lose line) keep their defaults.
+     */
+    function createReplayConfig(replay) {
+        return createGameConfig(Object.assign(pickLevelRules(replay.rules), {
+            cols: replay.cols,
+            radius: replay.radius,
+            loseRow: replay.loseRow,
+            numColors: replay.numColors,
+            layout: replay.layout || null,
+            specialBubbles: replay.specialBubbles || [],
+            pressureMode: replay.pressureMode || DEFAULT_CONFIG.pressureMode,
+            ceilingDropShots: replay.ceilingDropShots || DEFAULT_CONFIG.ceilingDropShots,
+            maxSwaps: replay.maxSwaps ?? null,
+            objective: replay.objective || 'clear',
+            shotLimit: replay.shotLimit ?? null,
+            targetScore: replay.targetScore || DEFAULT_CONFIG.targetScore,
+            surviveRows: replay.surviveRows || DEFAULT_CONFIG.surviveRows
+        }));
+    }
+
+    /**
+     * Short hash of every setting in a config, so games can be grouped by the exact
+     * version of a level they were played on (custom levels can be edited between games)
+     */
+    function getConfigVersion(config) {
+        const values = Object.keys(DEFAULT_CONFIG).map(key => config[key]);
+        return hashString(JSON.stringify(values)).toString(16).padStart(8, '0');
+    }
+
+    // ============================================================================
+    // CAMPAIGNS
+    // ============================================================================
+    // A campaign is an ordered list of stages, each { level, stars: { by, thresholds } }.
+    // A stage is won by clearing its board, which earns one star; thresholds are the
+    // [two-star, three-star] targets for `by`: 'score' (at least) or 'shots' (at most).
+    // Progress is { [stageIndex]: { stars, bestScore, bestShots } }.
+
+    /**
+     * Stars (0-3) for a finished stage ({ won, score, shots }); a loss earns none
+     */
+    function rateStage(stage, result) {
+        if (!result.won) return 0;
+        const { by, thresholds } = stage.stars;
+        const met = threshold => (by === 'shots' ? result.shots <= threshold : result.score >= threshold);
+        return Math.min(3, 1 + thresholds.filter(met).length);
+    }
+
+    /**
+     * Rate a finished stage and keep the best stars, score and shot count in progress.
+     * Returns the stars earned by this result.
+     */
+    function recordStageResult(campaign, progress, index, result) {
+        const stars = rateStage(campaign.stages[index], result);
+        if (stars === 0) return 0;
+
+        const previous = progress[index];
+        progress[index] = previous ? {
+            stars: Math.max(previous.stars, stars),
+            bestScore: Math.max(previous.bestScore, result.score),
+            bestShots: Math.min(previous.bestShots, result.shots)
+        } : { stars, bestScore: result.score, bestShots: result.shots };
+        return stars;
+    }
+
+    /**
+     * Stages unlock in order: the first is always open, the rest once the one before is won
+     */
+    function isStageUnlocked(progress, index) {
+        return index === 0 || Boolean(progress[index - 1] && progress[index - 1].stars > 0);
+    }
+
+    // ============================================================================
+    // EXPORTS
+    // ============================================================================
+
+    const BubbleCore = {
+        DEFAULT_CONFIG,
+        PHYSICS_STEP,
+        SPECIAL_BUBBLES,
+        CRACKED_ICE,
+        SCORE_SOURCES,
+        SWAP,
+        OBJECTIVES,
+        PRESSURE_MODES,
+        AIM_GUIDE_MODES,
+        LEVEL_RULES,
+        BUILT_IN_LEVELS,
+        SeededRNG,
+        hashString,
+        pickLevelRules,
+        snapLevelRule,
+        validateLevelRules,
+        validateLayout,
+        validateLevelSettings,
+        createGameConfig,
+        createGameState,
+        serializeState,
+        restoreState,
+        getRowHeight,
+        getCeilingOffset,
+        gridToWorld,
+        worldToGrid,
+        getNeighbors,
+        isOccupied,
+        isValidEmpty,
+        findCluster,
+        findBlast,
+        hitIce,
+        findConnectedToCeiling,
+        removeFloatingBubbles,
+        getOccupiedCellsInBox,
+        checkBubbleCollision,
+        snapProjectile,
+        calculateSnapTarget,
+        fireBubble,
+        getSwapsLeft,
+        swapBubbles,
+        placeBubble,
+        addNewRow,
+        countBubbles,
+        isObjectiveMet,
+        checkWin,
+        checkGameOver,
+        updateProjectile,
+        predictTrajectory,
+        simulateShot,
+        runShots,
+        createReplayConfig,
+        getConfigVersion,
+        rateStage,
+        recordStageResult,
+        isStageUnlocked
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BubbleCore;
+    } else {
+        root.BubbleCore = BubbleCore;
+    }
+})(typeof self !== 'undefined' ? self : this);
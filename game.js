@@ -1,8 +1,42 @@
 /**
  * Bubble Shooter - VMK-friendly Puzzle Bobble Prototype
  * Hex grid (odd-r offset) implementation with plain JavaScript + HTML5 Canvas
+ * Game rules live in game-core.js (headless); this file handles levels, input and rendering.
  */
 
+const {
+    PHYSICS_STEP,
+    createGameConfig,
+    createGameState,
+    serializeState,
+    restoreState,
+    getRowHeight,
+    getCeilingOffset,
+    gridToWorld,
+    isOccupied,
+    calculateSnapTarget,
+    fireBubble,
+    getSwapsLeft,
+    swapBubbles,
+    updateProjectile,
+    predictTrajectory,
+    CRACKED_ICE,
+    SCORE_SOURCES,
+    OBJECTIVES,
+    PRESSURE_MODES,
+    AIM_GUIDE_MODES,
+    LEVEL_RULES,
+    BUILT_IN_LEVELS,
+    hashString,
+    pickLevelRules,
+    createReplayConfig,
+    getConfigVersion,
+    countBubbles,
+    SWAP,
+    recordStageResult,
+    isStageUnlocked
+} = BubbleCore;
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -10,124 +44,60 @@
 const CANVAS_WIDTH = 800;
 const CANVAS_HEIGHT = 600;
 
-// Default level settings (can be overridden by admin page)
-// Level 1: Cursed (large bubbles)
-const DEFAULT_LEVEL1_BUBBLE_RADIUS = 38;
-const DEFAULT_LEVEL1_GRID_COLS = 10;
-// Level 2: Cursed Alt (medium bubbles)
-const DEFAULT_LEVEL2_BUBBLE_RADIUS = 24;
-const DEFAULT_LEVEL2_GRID_COLS = 16;
-// Level 3: Classic (small bubbles)
-const DEFAULT_LEVEL3_BUBBLE_RADIUS = 16;
-const DEFAULT_LEVEL3_GRID_COLS = 24;
-
-// Shared grid settings
-const GRID_ROWS = 16; // 14 visible + 2 buffer rows
+// Shared grid settings (total rows come from the core config)
 const VISIBLE_ROWS = 14;
 
+// Trajectory preview (AIM_GUIDE_MODES): 'off', 'bounce' (up to the first wall bounce) or 'full'
+const DEFAULT_AIM_GUIDE = 'off'; // Levels opt in through admin.html or the Level Creator
+
+// Pressure (PRESSURE_MODES): 'rows' adds a new row after a run of misses, 'ceiling' lowers the ceiling every N shots
+const DEFAULT_PRESSURE_MODE = 'rows';
+const DEFAULT_CEILING_DROP_SHOTS = 8;
+
+// Current/next swaps per game: null = unlimited, 0 = off
+const DEFAULT_MAX_SWAPS = null;
+
 // Load admin settings from localStorage
 function getAdminSettings() {
     const saved = localStorage.getItem('bubbleShooterAdmin');
     return saved ? JSON.parse(saved) : null;
 }
 
-// Dynamic getters for level-dependent values (reads from admin settings if available)
-function getBubbleRadius() {
+// Admin page override for the current level's layout ('radius', 'cols' or 'loseRow')
+// Built-in levels use keys like level2Radius, custom levels custom_123_radius
+function getLayoutOverride(name) {
     const admin = getAdminSettings();
-
-    // Handle custom levels
-    if (isCustomLevel()) {
-        const level = getCurrentCustomLevel();
-        if (level) {
-            // Check admin settings for custom level
-            if (admin && admin[`${currentLevel}_radius`]) {
-                return admin[`${currentLevel}_radius`];
-            }
-            // Calculate from columns
-            return Math.floor(CANVAS_WIDTH / (2 * level.columns + 1));
-        }
-    }
-
-    if (admin) {
-        if (currentLevel === 2 && admin.level2Radius) return admin.level2Radius;
-        if (currentLevel === 3 && admin.level3Radius) return admin.level3Radius;
-        if (currentLevel === 1 && admin.level1Radius) return admin.level1Radius;
-    }
-    // Fallback to defaults
-    if (currentLevel === 2) return DEFAULT_LEVEL2_BUBBLE_RADIUS;
-    if (currentLevel === 3) return DEFAULT_LEVEL3_BUBBLE_RADIUS;
-    return DEFAULT_LEVEL1_BUBBLE_RADIUS;
+    if (!admin) return null;
+    const key = isCustomLevel()
+        ? `${currentLevel}_${name}`
+        : `level${currentLevel}${name[0].toUpperCase()}${name.slice(1)}`;
+    return admin[key] || null;
 }
 
-function getRowHeight() {
-    return getBubbleRadius() * Math.sqrt(3);
+// Dynamic getters for level-dependent values: admin override, then the level's theme
+function getBubbleRadius() {
+    const theme = getCurrentTheme();
+    return getLayoutOverride('radius') || theme.radius || Math.floor(CANVAS_WIDTH / (2 * theme.cols + 1));
 }
 
 function getGridCols() {
-    const admin = getAdminSettings();
-
-    // Handle custom levels
-    if (isCustomLevel()) {
-        const level = getCurrentCustomLevel();
-        if (level) {
-            // Check admin settings for custom level columns override
-            if (admin && admin[`${currentLevel}_cols`]) {
-                return admin[`${currentLevel}_cols`];
-            }
-            return level.columns;
-        }
-    }
-
-    if (admin) {
-        if (currentLevel === 2 && admin.level2Cols) return admin.level2Cols;
-        if (currentLevel === 3 && admin.level3Cols) return admin.level3Cols;
-        if (currentLevel === 1 && admin.level1Cols) return admin.level1Cols;
-    }
-    // Fallback to defaults
-    if (currentLevel === 2) return DEFAULT_LEVEL2_GRID_COLS;
-    if (currentLevel === 3) return DEFAULT_LEVEL3_GRID_COLS;
-    return DEFAULT_LEVEL1_GRID_COLS;
+    return getLayoutOverride('cols') || getCurrentTheme().cols;
 }
 
 function getLoseRow() {
-    const admin = getAdminSettings();
+    const override = getLayoutOverride('loseRow') || getCurrentTheme().loseRow;
+    if (override) return override;
 
-    // Handle custom levels
-    if (isCustomLevel()) {
-        const level = getCurrentCustomLevel();
-        if (level) {
-            // Check admin settings for custom level lose row override
-            if (admin && admin[`${currentLevel}_loseRow`]) {
-                return admin[`${currentLevel}_loseRow`];
-            }
-            // Calculate from bubble radius
-            const radius = getBubbleRadius();
-            const rowHeight = radius * Math.sqrt(3);
-            return Math.floor((LOSE_LINE_Y - radius) / rowHeight);
-        }
-    }
-
-    if (admin) {
-        if (currentLevel === 2 && admin.level2LoseRow) return admin.level2LoseRow;
-        if (currentLevel === 3 && admin.level3LoseRow) return admin.level3LoseRow;
-        if (currentLevel === 1 && admin.level1LoseRow) return admin.level1LoseRow;
-    }
-    // Fallback to defaults
-    if (currentLevel === 2) return LEVEL2_LOSE_ROW;
-    if (currentLevel === 3) return LEVEL3_LOSE_ROW;
-    return LEVEL1_LOSE_ROW;
+    // Last row that fits above the lose line
+    const radius = getBubbleRadius();
+    const rowHeight = radius * Math.sqrt(3);
+    return Math.floor((LOSE_LINE_Y - radius) / rowHeight);
 }
 const SHOOTER_X = 400;
 const SHOOTER_Y = 560;
-const PROJECTILE_SPEED = 900; // pixels per second
 const MIN_AIM_ANGLE = 10 * (Math.PI / 180);  // 10 degrees in radians
 const MAX_AIM_ANGLE = 170 * (Math.PI / 180); // 170 degrees in radians
 const LOSE_LINE_Y = 540;
-const LEVEL1_LOSE_ROW = 7;   // Cursed - large bubbles
-const LEVEL2_LOSE_ROW = 12;  // Cursed Alt - medium bubbles
-const LEVEL3_LOSE_ROW = 13;  // Classic - small bubbles
-const SHOTS_BEFORE_NEW_ROW = 5;
-const CLUSTER_MIN_SIZE = 3;
 
 // Color palette for bubbles
 const BUBBLE_COLORS = [
@@ -140,7 +110,6 @@ const BUBBLE_COLORS = [
 ];
 
 const NUM_COLORS = BUBBLE_COLORS.length;
-const INITIAL_ROWS = 5; // Number of rows to fill at start
 
 // Background images (rotated each game)
 // Each entry: { src: filename, tile: whether to tile/repeat }
@@ -150,44 +119,200 @@ const BACKGROUND_IMAGES = [
     { src: 'assets/classic/hats.png', tile: true },
     { src: 'assets/classic/items.jpg', tile: false }
 ];
-const BACKGROUND_OPACITY = 0.25; // Transparency for background images (Level 1)
-const CURSE_BACKGROUND_OPACITY = 0.6; // Higher opacity for Level 2 curse background
+const BACKGROUND_OPACITY = 0.25; // Transparency for the rotating background images
+const SPINNER_SIZE = 100; // Size of the spinner image behind the shooter
 
 // Level system
 let currentLevel = 1;
 
-// Custom bubble images for Level 2
-const CURSE_IMAGES = [];
-let curseImagesLoaded = false;
+// ============================================================================
+// THEMES
+// ============================================================================
+// A theme is everything that makes a level look the way it does. Every level gets one
+// from its settings in the Level Creator format plus its image files (createLevelTheme):
+// custom levels from localStorage and IndexedDB, built-in levels from BUILT_IN_LEVEL_LOOKS
+// and the files in assets/. The renderer only reads the current theme, so a new look
+// needs new data, not new drawing code. Image fields are URLs; anything left null falls
+// back to the plain canvas drawing.
+
+const THEME_DEFAULTS = {
+    name: 'Custom',
+    cols: 12,
+    radius: null,                // null = as large as the columns allow
+    loseRow: null,               // null = last row above the lose line
+    bubbles: [],                 // Sprite per color ID (missing = colored circle)
+    specials: {},                // Sprite per special bubble type
+    background: null,            // null = rotate through BACKGROUND_IMAGES
+    backgroundOpacity: BACKGROUND_OPACITY,
+    spinner: null,               // Drawn behind the shooter instead of the shooter base
+    arrow: null,                 // Aim arrow, pointing up
+    nextFrame: null,             // { src, offsetX, offsetY }: bottom-left frame, next bubble offset from its center
+    next: { x: 775, y: 575, labelX: 750 }, // Next bubble and its "Next:" label without a frame
+    scoreboard: null,            // { src, offsetX, offsetY, color }: bottom-right frame, score offset from its center
+    lose: null,                  // Game over picture
+    win: null,                   // Win picture
+    zoneLabel: 'DANGER ZONE',
+    zoneColor: '#e74c3c',        // Danger line, its glow and the zone label (#rrggbb)
+    hudColor: '#ecf0f1'          // Score, shots and the other HUD text
+};
+
+function defineTheme(theme) {
+    return Object.assign({}, THEME_DEFAULTS, theme);
+}
+
+const isHexColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+/**
+ * '#rrggbb' as an rgba() color with the given alpha
+ */
+function withAlpha(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${value >> 16}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Theme for a level from its settings (Level Creator format) and the URLs of its image
+ * files: { bubbles, specials, background, spinner, arrow, nextFrame, scoreboard, lose, win }.
+ * Custom levels pass the object URLs of their stored images (see preloadCustomLevelImages;
+ * before they load the level looks plain). Besides the Level Creator's fields, a level may
+ * set radius, loseRow, zoneLabel, next (THEME_DEFAULTS.next), nextOffsetX/Y (next bubble
+ * offset on its frame) and scoreColor (score text on the scoreboard frame, hudColor by default).
+ */
+function createLevelTheme(level, files = null) {
+    const theme = {
+        name: level.name,
+        cols: level.columns,
+        zoneLabel: level.zoneLabel || `${level.name.toUpperCase()} ZONE`
+    };
+    if (level.radius) theme.radius = level.radius;
+    if (level.loseRow) theme.loseRow = level.loseRow;
+    if (level.next) theme.next = level.next;
+    if (isHexColor(level.zoneColor)) theme.zoneColor = level.zoneColor;
+    if (isHexColor(level.hudColor)) theme.hudColor = level.hudColor;
+
+    if (files) {
+        Object.assign(theme, {
+            bubbles: files.bubbles,
+            specials: files.specials,
+            background: files.background,
+            spinner: files.spinner,
+            arrow: files.arrow,
+            lose: files.lose,
+            win: files.win
+        });
+        if (files.background) theme.backgroundOpacity = 0.6;
+        if (files.nextFrame) {
+            theme.nextFrame = {
+                src: files.nextFrame,
+                offsetX: Number(level.nextOffsetX) || 0,
+                offsetY: Number(level.nextOffsetY) || 0
+            };
+        }
+        if (files.scoreboard) {
+            theme.scoreboard = {
+                src: files.scoreboard,
+                offsetX: Number(level.scoreOffsetX) || 0,
+                offsetY: Number(level.scoreOffsetY) || 0,
+                color: isHexColor(level.scoreColor) ? level.scoreColor : theme.hudColor || THEME_DEFAULTS.hudColor
+            };
+        }
+    }
+    return defineTheme(theme);
+}
+
+// Cursed levels share everything but the bubble sprites
+const CURSE_LEVEL = {
+    zoneLabel: 'CURSED ZONE',
+    nextOffsetX: -10,
+    nextOffsetY: 25,
+    scoreOffsetX: 15,
+    scoreOffsetY: 10,
+    scoreColor: '#f1c40f'
+};
+
+const CURSE_FILES = {
+    bubbles: [],
+    specials: {},
+    background: 'assets/curse/curse-background.png',
+    spinner: 'assets/curse/curse6-spinner.png',
+    arrow: 'assets/curse/curses-arrow.png',
+    nextFrame: 'assets/curse/curse-nextcurse.png',
+    scoreboard: 'assets/curse/curse-scoreboard.png',
+    lose: 'assets/curse/curse-lose.png',
+    win: null
+};
+
+// Built-in levels as { level, files } for createLevelTheme (grids from BUILT_IN_LEVELS)
+const BUILT_IN_LEVEL_LOOKS = {
+    1: {
+        level: Object.assign({ name: 'Cursed', next: { x: 760, y: 560, labelX: 710 } }, CURSE_LEVEL),
+        files: Object.assign({}, CURSE_FILES, { bubbles: BUBBLE_COLORS.map((color, i) => `assets/curse/curse${i + 1}.png`) })
+    },
+    2: {
+        level: Object.assign({ name: 'Cursed Alt', next: { x: 768, y: 570, labelX: 730 } }, CURSE_LEVEL),
+        files: Object.assign({}, CURSE_FILES, { bubbles: BUBBLE_COLORS.map((color, i) => `assets/curse/curse${i + 1}-b.png`) })
+    },
+    3: {
+        level: { name: 'Classic', zoneLabel: 'DANGER ZONE' },
+        files: null
+    }
+};
 
-// Custom bubble images for Level 3 (alternate curse images)
-const CURSE_B_IMAGES = [];
-let curseBImagesLoaded = false;
+const BUILT_IN_THEMES = {};
+for (const [id, { level, files }] of Object.entries(BUILT_IN_LEVEL_LOOKS)) {
+    const { cols, radius, loseRow } = BUILT_IN_LEVELS[id];
+    BUILT_IN_THEMES[id] = createLevelTheme(Object.assign({ columns: cols, radius, loseRow }, level), files);
+}
 
-// Custom background for Level 2 & 3
-let curseBackgroundImage = null;
-let curseBackgroundLoaded = false;
+/**
+ * Theme for a level id (null for an unknown custom level)
+ */
+function getLevelTheme(level) {
+    if (BUILT_IN_THEMES[level]) return BUILT_IN_THEMES[level];
+    const custom = getCustomLevelById(level);
+    if (!custom) return null;
+    return customLevelThemes[level] || createLevelTheme(custom);
+}
 
-// Spinner image for Level 2 & 3 (behind shooter)
-let curseSpinnerImage = null;
-let curseSpinnerLoaded = false;
-const SPINNER_SIZE = 100; // Size of the spinner image
+function getCurrentTheme() {
+    return getLevelTheme(currentLevel) || BUILT_IN_THEMES[1];
+}
 
-// Custom aim arrow for Level 2 & 3
-let curseArrowImage = null;
-let curseArrowLoaded = false;
+const themeImages = new Map(); // URL -> Image, shared by every theme that uses it
 
-// Next bubble frame image
-let curseNextImage = null;
-let curseNextLoaded = false;
+/**
+ * Image for a theme URL, started on first use (null without a URL)
+ */
+function loadThemeImage(src) {
+    if (!src) return null;
+    if (!themeImages.has(src)) {
+        const img = new Image();
+        img.onerror = () => console.warn(`Failed to load ${src}`);
+        img.src = src;
+        themeImages.set(src, img);
+    }
+    return themeImages.get(src);
+}
 
-// Scoreboard image
-let curseScoreboardImage = null;
-let curseScoreboardLoaded = false;
+/**
+ * Theme image ready to draw, or null while it loads (or if it failed)
+ */
+function getThemeImage(src) {
+    const img = loadThemeImage(src);
+    return img && img.complete && img.naturalWidth > 0 ? img : null;
+}
 
-// Game over image
-let curseLoseImage = null;
-let curseLoseLoaded = false;
+/**
+ * Start loading every image a theme uses
+ */
+function preloadTheme(theme) {
+    const sources = [
+        ...theme.bubbles, ...Object.values(theme.specials),
+        theme.background, theme.spinner, theme.arrow, theme.lose, theme.win,
+        theme.nextFrame && theme.nextFrame.src, theme.scoreboard && theme.scoreboard.src
+    ];
+    sources.forEach(loadThemeImage);
+}
 
 // ============================================================================
 // CUSTOM LEVELS SUPPORT (with IndexedDB image storage)
@@ -200,7 +325,7 @@ const STORE_NAME = 'images';
 
 let customLevelsDB = null;
 let customLevels = []; // Array of custom level configs
-let customLevelImages = {}; // { levelId: { bubbles: [], background: Image, arrow: Image, spinner: Image, loaded: boolean } }
+let customLevelThemes = {}; // { levelId: theme } once the level's images are loaded from IndexedDB
 
 // Initialize IndexedDB
 function initCustomLevelsDB() {
@@ -267,208 +392,197 @@ function getCurrentCustomLevel() {
     return getCustomLevelById(currentLevel);
 }
 
-// Preload images for a specific custom level from IndexedDB
+// Object URL for an image stored in IndexedDB (null if it isn't there)
+async function getImageUrlFromDB(id) {
+    const blob = await getImageFromDB(id);
+    return blob ? URL.createObjectURL(blob) : null;
+}
+
+// Preload images for a specific custom level from IndexedDB and build its theme
 async function preloadCustomLevelImages(levelId) {
     const level = getCustomLevelById(levelId);
     if (!level) return;
 
     // Skip if already loaded
-    if (customLevelImages[levelId] && customLevelImages[levelId].loaded) return;
+    if (customLevelThemes[levelId]) return;
 
-    customLevelImages[levelId] = {
+    const files = {
         bubbles: [],
         background: null,
         arrow: null,
         spinner: null,
-        loaded: false
+        scoreboard: null,
+        nextFrame: null,
+        lose: null,
+        win: null,
+        specials: {}
     };
 
-    const imgData = customLevelImages[levelId];
-
     try {
-        // Load bubble images from IndexedDB
+        // Bubble images
         for (let i = 0; i < level.bubbleCount; i++) {
-            const blob = await getImageFromDB(`${levelId}_bubble_${i}`);
-            if (blob) {
-                const url = URL.createObjectURL(blob);
-                const img = new Image();
-                img.src = url;
-                imgData.bubbles[i] = img;
-            }
+            files.bubbles[i] = await getImageUrlFromDB(`${levelId}_bubble_${i}`);
         }
 
-        // Load background (optional)
-        if (level.hasBackground) {
-            const blob = await getImageFromDB(`${levelId}_background`);
-            if (blob) {
-                const url = URL.createObjectURL(blob);
-                imgData.background = new Image();
-                imgData.background.src = url;
-            }
-        }
+        // Background, arrow and spinner (optional)
+        if (level.hasBackground) files.background = await getImageUrlFromDB(`${levelId}_background`);
+        if (level.hasArrow) files.arrow = await getImageUrlFromDB(`${levelId}_arrow`);
+        if (level.hasSpinner) files.spinner = await getImageUrlFromDB(`${levelId}_spinner`);
 
-        // Load arrow (optional)
-        if (level.hasArrow) {
-            const blob = await getImageFromDB(`${levelId}_arrow`);
-            if (blob) {
-                const url = URL.createObjectURL(blob);
-                imgData.arrow = new Image();
-                imgData.arrow.src = url;
-            }
+        // Scoreboard, next frame and end screen pictures (optional)
+        for (const key of level.themeImages || []) {
+            if (key in files) files[key] = await getImageUrlFromDB(`${levelId}_${key}`);
         }
 
-        // Load spinner (optional)
-        if (level.hasSpinner) {
-            const blob = await getImageFromDB(`${levelId}_spinner`);
-            if (blob) {
-                const url = URL.createObjectURL(blob);
-                imgData.spinner = new Image();
-                imgData.spinner.src = url;
-            }
+        // Special bubble images (optional, one per enabled type)
+        for (const type of level.specialImages || []) {
+            const url = await getImageUrlFromDB(`${levelId}_special_${type}`);
+            if (url) files.specials[type] = url;
         }
-
-        imgData.loaded = true;
     } catch (error) {
+        // Keep whatever loaded so we don't retry forever
         console.warn('Error loading custom level images:', error);
-        imgData.loaded = true; // Mark as loaded even on error to prevent infinite retries
     }
+
+    customLevelThemes[levelId] = createLevelTheme(level, files);
+    preloadTheme(customLevelThemes[levelId]);
 }
 
-// Get number of colors for current level
+// Get the gameplay rule overrides for current level (see LEVEL_RULES in game-core.js)
+// Built-in levels keep them in the admin settings as level1Rules etc., custom levels as level.rules
+function getLevelRules() {
+    const level = getCurrentCustomLevel();
+    const admin = getAdminSettings();
+    return pickLevelRules(level ? level.rules : (admin ? admin[`level${currentLevel}Rules`] : null));
+}
+
+// Get number of colors for current level: the rule if set, but never more than there are bubble looks
 function getNumColors() {
+    const level = getCurrentCustomLevel();
+    const available = level ? level.bubbleCount : NUM_COLORS;
+    const rule = getLevelRules().numColors;
+    return rule ? Math.min(rule, available) : available;
+}
+
+// Get the trajectory preview mode for current level (see AIM_GUIDE_MODES)
+function getAimGuide() {
     if (isCustomLevel()) {
         const level = getCurrentCustomLevel();
-        return level ? level.bubbleCount : NUM_COLORS;
+        return level && AIM_GUIDE_MODES.includes(level.aimGuide) ? level.aimGuide : DEFAULT_AIM_GUIDE;
     }
-    return NUM_COLORS;
-}
 
-// Preload curse images and background
-function preloadCurseImages() {
-    // Level 2 images
-    let loadedCount = 0;
-    for (let i = 1; i <= NUM_COLORS; i++) {
-        const img = new Image();
-        img.src = `assets/curse/curse${i}.png`;
-        img.onload = () => {
-            loadedCount++;
-            if (loadedCount === NUM_COLORS) {
-                curseImagesLoaded = true;
-            }
-        };
-        img.onerror = () => {
-            console.warn(`Failed to load curse${i}.png`);
-        };
-        CURSE_IMAGES.push(img);
-    }
+    const admin = getAdminSettings();
+    const saved = admin ? admin[`level${currentLevel}AimGuide`] : null;
+    return AIM_GUIDE_MODES.includes(saved) ? saved : DEFAULT_AIM_GUIDE;
+}
 
-    // Level 3 images (alternate -b versions)
-    let loadedCountB = 0;
-    for (let i = 1; i <= NUM_COLORS; i++) {
-        const img = new Image();
-        img.src = `assets/curse/curse${i}-b.png`;
-        img.onload = () => {
-            loadedCountB++;
-            if (loadedCountB === NUM_COLORS) {
-                curseBImagesLoaded = true;
-            }
-        };
-        img.onerror = () => {
-            console.warn(`Failed to load curse${i}-b.png`);
-        };
-        CURSE_B_IMAGES.push(img);
-    }
+// Get the pressure mode for current level (see PRESSURE_MODES)
+function getPressureMode() {
+    const level = getCurrentCustomLevel();
+    const admin = getAdminSettings();
+    const saved = level ? level.pressureMode : (admin ? admin[`level${currentLevel}Pressure`] : null);
+    return PRESSURE_MODES.includes(saved) ? saved : DEFAULT_PRESSURE_MODE;
+}
 
-    // Preload curse background
-    curseBackgroundImage = new Image();
-    curseBackgroundImage.src = 'assets/curse/curse-background.png';
-    curseBackgroundImage.onload = () => {
-        curseBackgroundLoaded = true;
-    };
-    curseBackgroundImage.onerror = () => {
-        console.warn('Failed to load curse-background.png');
-    };
+// Get how many shots it takes to lower the ceiling one row (ceiling pressure mode)
+function getCeilingDropShots() {
+    const level = getCurrentCustomLevel();
+    const admin = getAdminSettings();
+    const saved = level ? level.ceilingDropShots : (admin ? admin[`level${currentLevel}CeilingShots`] : null);
+    return saved > 0 ? saved : DEFAULT_CEILING_DROP_SHOTS;
+}
 
-    // Preload spinner image
-    curseSpinnerImage = new Image();
-    curseSpinnerImage.src = 'assets/curse/curse6-spinner.png';
-    curseSpinnerImage.onload = () => {
-        curseSpinnerLoaded = true;
-    };
-    curseSpinnerImage.onerror = () => {
-        console.warn('Failed to load curse6-spinner.png');
-    };
+// Get the swap limit for current level (null = unlimited)
+function getMaxSwaps() {
+    const level = getCurrentCustomLevel();
+    const admin = getAdminSettings();
+    const saved = level ? level.maxSwaps : (admin ? admin[`level${currentLevel}MaxSwaps`] : null);
+    return Number.isInteger(saved) && saved >= 0 ? saved : DEFAULT_MAX_SWAPS;
+}
 
-    // Preload aim arrow image
-    curseArrowImage = new Image();
-    curseArrowImage.src = 'assets/curse/curses-arrow.png';
-    curseArrowImage.onload = () => {
-        curseArrowLoaded = true;
-    };
-    curseArrowImage.onerror = () => {
-        console.warn('Failed to load curses-arrow.png');
-    };
+// Get the objective settings for current level (built-in levels just clear the board)
+// Only valid values are returned, so createGameConfig() fills in the rest from its defaults
+function getObjectiveSettings() {
+    const level = getCurrentCustomLevel();
+    const settings = {};
+    if (!level) return settings;
+    if (OBJECTIVES.includes(level.objective)) settings.objective = level.objective;
+    if (Number.isInteger(level.shotLimit) && level.shotLimit > 0) settings.shotLimit = level.shotLimit;
+    if (level.targetScore > 0) settings.targetScore = level.targetScore;
+    if (Number.isInteger(level.surviveRows) && level.surviveRows > 0) settings.surviveRows = level.surviveRows;
+    return settings;
+}
 
-    // Preload next bubble frame image
-    curseNextImage = new Image();
-    curseNextImage.src = 'assets/curse/curse-nextcurse.png';
-    curseNextImage.onload = () => {
-        curseNextLoaded = true;
-    };
-    curseNextImage.onerror = () => {
-        console.warn('Failed to load curse-nextcurse.png');
-    };
+// Leaderboard server address from the admin settings ('' = scores stay in this browser)
+function getLeaderboardUrl() {
+    const admin = getAdminSettings();
+    return admin && admin.leaderboardUrl ? admin.leaderboardUrl : '';
+}
 
-    // Preload scoreboard image
-    curseScoreboardImage = new Image();
-    curseScoreboardImage.src = 'assets/curse/curse-scoreboard.png';
-    curseScoreboardImage.onload = () => {
-        curseScoreboardLoaded = true;
-    };
-    curseScoreboardImage.onerror = () => {
-        console.warn('Failed to load curse-scoreboard.png');
-    };
+// Get the special bubble types enabled for current level (built-in levels have none)
+function getSpecialBubbles() {
+    const level = getCurrentCustomLevel();
+    return level && Array.isArray(level.specialBubbles) ? level.specialBubbles : [];
+}
 
-    // Preload game over image
-    curseLoseImage = new Image();
-    curseLoseImage.src = 'assets/curse/curse-lose.png';
-    curseLoseImage.onload = () => {
-        curseLoseLoaded = true;
-    };
-    curseLoseImage.onerror = () => {
-        console.warn('Failed to load curse-lose.png');
-    };
+// Get the hand-painted starting layout for current level (null = random fill)
+// Layout is an array of rows, each an array of color IDs or null for empty cells
+function getCurrentLayout() {
+    const level = getCurrentCustomLevel();
+    return level && Array.isArray(level.layout) ? level.layout : null;
 }
 
 // ============================================================================
-// SEEDED RANDOM NUMBER GENERATOR (LCG)
+// DAILY CHALLENGE & SHARED SEEDS
 // ============================================================================
 
-class SeededRNG {
-    constructor(seed) {
-        this.seed = seed;
-        this.state = seed;
-    }
+// 'normal' = fresh seed every game, 'daily' = seed from date + level,
+// 'seeded' = fixed seed shared via ?seed= URL parameter
+let gameMode = 'normal';
+let sharedSeed = null;
+let dailyDateKey = null; // Day the current daily game was seeded for (it may run past midnight)
 
-    // Linear Congruential Generator
-    next() {
-        // Parameters from Numerical Recipes
-        this.state = (this.state * 1664525 + 1013904223) >>> 0;
-        return this.state / 0xFFFFFFFF;
+/**
+ * Parse a seed from text: plain numbers are used as-is, anything else is hashed
+ */
+function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
     }
+    return hashString(text);
+}
 
-    nextInt(min, max) {
-        return Math.floor(this.next() * (max - min + 1)) + min;
-    }
+/**
+ * Calendar date key (UTC) so every player shares the same daily board
+ */
+function getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
 
-    reset() {
-        this.state = this.seed;
-    }
+function getDailySeed(levelId, dateKey = getDateKey()) {
+    return hashString(`daily:${dateKey}:${levelId}`);
+}
 
-    setSeed(seed) {
-        this.seed = seed;
-        this.state = seed;
-    }
+/**
+ * Get the RNG seed for a new game based on the current mode
+ */
+function getGameSeed() {
+    if (replayState) return replayState.replay.seed;
+    if (gameMode === 'daily') {
+        dailyDateKey = getDateKey();
+        return getDailySeed(currentLevel, dailyDateKey);
+    }
+    if (gameMode === 'seeded' && sharedSeed !== null) return sharedSeed;
+    return Date.now() >>> 0;
+}
+
+/**
+ * Link that reproduces the current board on another machine
+ */
+function getShareUrl() {
+    const params = new URLSearchParams({ seed: gameState.seed, level: currentLevel });
+    return `${window.location.origin}${window.location.pathname}?${params}`;
 }
 
 // ============================================================================
@@ -478,24 +592,24 @@ class SeededRNG {
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 
-let rng = new SeededRNG(Date.now());
+// Geometry and rules for the current level (rebuilt by initGame)
+let gameConfig = createGameConfig();
 
+// Simulation fields (grid, projectile, bubble queue, score, rng...) are filled in
+// by BubbleCore.createGameState() in initGame(); the rest is browser-only state
 let gameState = {
-    grid: [],                    // 2D array [row][col] of color IDs or null
-    projectile: null,            // {x, y, vx, vy, color, active}
-    currentBubble: 0,            // Color ID of current bubble to shoot
-    nextBubble: 0,               // Color ID of next bubble
-    score: 0,
-    shots: 0,
-    shotsWithoutPop: 0,
+    grid: [],
+    projectile: null,
     gameOver: false,
     gameWon: false,
+    replay: null,                // Replay of the last finished game
     scoreSubmitted: false,
     debugMode: false,
     mouseX: SHOOTER_X,
     mouseY: SHOOTER_Y - 100,
     aimAngle: Math.PI / 2,       // Straight up
     snapTarget: null,            // Debug: {row, col} of where bubble will snap
+    aimGuide: 'off',             // Trajectory preview mode for the current level
     lastTime: 0
 };
 
@@ -503,672 +617,239 @@ let gameState = {
 let backgroundImage = null;
 let currentBackgroundName = ''; // Track current background for debugging
 let currentBackgroundTile = false; // Whether to tile the current background
+let currentBackgroundOpacity = BACKGROUND_OPACITY;
 // Load and increment background index from localStorage (persists across refreshes)
 let backgroundIndex = parseInt(localStorage.getItem('vmkBubbleBackgroundIndex') || '0');
 
 // ============================================================================
-// HEX GRID HELPERS
+// GAME LOGIC
 // ============================================================================
 
 /**
- * Convert grid coordinates to world (canvas) pixel position
- * Uses odd-r offset: odd rows are shifted right by radius
- */
-function gridToWorld(row, col) {
-    const radius = getBubbleRadius();
-    const rowHeight = getRowHeight();
-    const x = col * radius * 2 + radius + (row % 2 === 1 ? radius : 0);
-    const y = row * rowHeight + radius;
-    return { x, y };
-}
-
-/**
- * Convert world (canvas) position to nearest grid cell
+ * Build the core config for the current level (admin overrides and custom level data)
  */
-function worldToGrid(x, y) {
-    const radius = getBubbleRadius();
-    const rowHeight = getRowHeight();
-    const gridCols = getGridCols();
-
-    // Approximate row
-    let row = Math.round((y - radius) / rowHeight);
-    row = Math.max(0, Math.min(row, GRID_ROWS - 1));
-
-    // Adjust x for odd row offset
-    const offsetX = row % 2 === 1 ? radius : 0;
-    let col = Math.round((x - radius - offsetX) / (radius * 2));
-    col = Math.max(0, Math.min(col, gridCols - 1));
-
-    return { row, col };
+function getLevelConfig() {
+    return createGameConfig({
+        ...getLevelRules(),
+        width: CANVAS_WIDTH,
+        cols: getGridCols(),
+        radius: getBubbleRadius(),
+        loseRow: getLoseRow(),
+        loseLineY: LOSE_LINE_Y,
+        numColors: getNumColors(),
+        shooterX: SHOOTER_X,
+        shooterY: SHOOTER_Y,
+        layout: getCurrentLayout(),
+        specialBubbles: getSpecialBubbles(),
+        pressureMode: getPressureMode(),
+        ceilingDropShots: getCeilingDropShots(),
+        maxSwaps: getMaxSwaps(),
+        ...getObjectiveSettings()
+    });
 }
 
 /**
- * Get the 6 neighbors for a hex cell in odd-r offset coordinates
+ * Initialize or reset the game
  */
-function getNeighbors(row, col) {
-    const neighbors = [];
-    const gridCols = getGridCols();
-
-    // Neighbor offsets differ based on whether row is even or odd
-    const isOddRow = row % 2 === 1;
-
-    // Direction offsets for odd-r hex grid
-    // [row offset, col offset for even rows, col offset for odd rows]
-    const directions = [
-        [-1, -1, 0],   // Top-left
-        [-1, 0, 1],    // Top-right
-        [0, -1, -1],   // Left
-        [0, 1, 1],     // Right
-        [1, -1, 0],    // Bottom-left
-        [1, 0, 1]      // Bottom-right
-    ];
-
-    for (const [dRow, evenColOffset, oddColOffset] of directions) {
-        const newRow = row + dRow;
-        const newCol = col + (isOddRow ? oddColOffset : evenColOffset);
-
-        // Check bounds
-        if (newRow >= 0 && newRow < GRID_ROWS && newCol >= 0 && newCol < gridCols) {
-            neighbors.push({ row: newRow, col: newCol });
-        }
+function initGame() {
+    // The level's own background, or the next one in the rotation
+    const theme = getCurrentTheme();
+    if (theme.background) {
+        backgroundImage = loadThemeImage(theme.background);
+        currentBackgroundName = theme.background;
+        currentBackgroundTile = false;
+        currentBackgroundOpacity = theme.backgroundOpacity;
+    } else {
+        const bgConfig = BACKGROUND_IMAGES[backgroundIndex];
+        backgroundImage = loadThemeImage(bgConfig.src);
+        currentBackgroundName = bgConfig.src;
+        currentBackgroundTile = bgConfig.tile;
+        currentBackgroundOpacity = BACKGROUND_OPACITY;
+        backgroundIndex = (backgroundIndex + 1) % BACKGROUND_IMAGES.length;
+        localStorage.setItem('vmkBubbleBackgroundIndex', backgroundIndex.toString());
     }
 
-    return neighbors;
-}
-
-/**
- * Check if a grid cell is occupied
- */
-function isOccupied(row, col) {
-    const gridCols = getGridCols();
-    if (row < 0 || row >= GRID_ROWS || col < 0 || col >= gridCols) {
-        return false;
-    }
-    return gameState.grid[row][col] !== null;
-}
+    // New board and bubble queue from the seed for this game (fresh, daily or shared)
+    // Replays play with the settings they recorded, exactly as the leaderboard server re-simulates
+    // them; the level as it is now only supplies the look (theme)
+    gameConfig = replayState ? createReplayConfig(replayState.replay) : getLevelConfig();
+    Object.assign(gameState, createGameState(gameConfig, getGameSeed()));
 
-/**
- * Check if a grid cell is valid and empty
- */
-function isValidEmpty(row, col) {
-    const gridCols = getGridCols();
-    if (row < 0 || row >= GRID_ROWS || col < 0 || col >= gridCols) {
-        return false;
-    }
-    return gameState.grid[row][col] === null;
+    // Reset browser-side state
+    gameState.replay = null;
+    gameState.scoreSubmitted = false;
+    gameState.snapTarget = null;
+    gameState.playTime = 0; // Seconds played, not counting pauses
+    gameState.aimGuide = getAimGuide();
+    physicsAccumulator = 0;
+    animations = [];
+    // Any saved game stays until this board's first shot is saved over it, so watching
+    // a replay or switching modes doesn't throw it away
+    updateLevelAudio();
 }
 
 // ============================================================================
-// CLUSTER DETECTION (BFS)
+// RENDERING
 // ============================================================================
 
 /**
- * Find all connected bubbles of the same color starting from (row, col)
+ * Draw a bubble at the specified position
  */
-function findCluster(row, col, color) {
-    if (!isOccupied(row, col) || gameState.grid[row][col] !== color) {
-        return [];
-    }
+function drawBubble(x, y, colorId, highlight = false, overrideRadius = null) {
+    const radius = overrideRadius !== null ? overrideRadius : gameConfig.radius;
 
-    const cluster = [];
-    const visited = new Set();
-    const queue = [{ row, col }];
+    // Special bubbles (bomb, rainbow, stone, ice) are stored by name instead of color ID
+    if (typeof colorId === 'string') {
+        drawSpecialBubble(x, y, colorId, radius);
+        return;
+    }
 
-    while (queue.length > 0) {
-        const current = queue.shift();
-        const key = `${current.row},${current.col}`;
+    // Theme sprite for this color
+    const img = getThemeImage(getCurrentTheme().bubbles[colorId]);
+    if (img) {
+        const size = radius * 2;
+        ctx.drawImage(img, x - radius, y - radius, size, size);
 
-        if (visited.has(key)) continue;
-        visited.add(key);
+        // Add highlight border if needed
+        if (highlight) {
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        return;
+    }
 
-        if (gameState.grid[current.row][current.col] !== color) continue;
+    // No sprite (or not loaded yet): Draw colored circles
+    const color = BUBBLE_COLORS[colorId % BUBBLE_COLORS.length];
 
-        cluster.push(current);
+    // Main bubble
+    ctx.beginPath();
+    ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
 
-        // Add unvisited neighbors with same color
-        const neighbors = getNeighbors(current.row, current.col);
-        for (const neighbor of neighbors) {
-            const nKey = `${neighbor.row},${neighbor.col}`;
-            if (!visited.has(nKey) && isOccupied(neighbor.row, neighbor.col)) {
-                if (gameState.grid[neighbor.row][neighbor.col] === color) {
-                    queue.push(neighbor);
-                }
-            }
-        }
-    }
+    // Highlight/shine effect
+    ctx.beginPath();
+    ctx.arc(x - 4, y - 4, radius / 3, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.fill();
 
-    return cluster;
+    // Border
+    ctx.beginPath();
+    ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
+    ctx.strokeStyle = highlight ? '#fff' : 'rgba(0, 0, 0, 0.3)';
+    ctx.lineWidth = highlight ? 2 : 1;
+    ctx.stroke();
 }
 
 /**
- * Find all bubbles connected to the ceiling (row 0)
+ * Draw a special bubble: the theme's image for its type if it has one,
+ * otherwise a built-in look. Cracked ice is drawn as ice with cracks on top.
  */
-function findConnectedToCeiling() {
-    const connected = new Set();
-    const queue = [];
-    const gridCols = getGridCols();
+function drawSpecialBubble(x, y, type, radius) {
+    const baseType = type === CRACKED_ICE ? 'ice' : type;
+    const img = getThemeImage(getCurrentTheme().specials[baseType]);
 
-    // Start from all occupied cells in row 0
-    for (let col = 0; col < gridCols; col++) {
-        if (isOccupied(0, col)) {
-            queue.push({ row: 0, col });
-            connected.add(`0,${col}`);
+    if (img) {
+        ctx.drawImage(img, x - radius, y - radius, radius * 2, radius * 2);
+    } else {
+        ctx.beginPath();
+        ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
+
+        if (baseType === 'rainbow') {
+            const gradient = ctx.createLinearGradient(x - radius, y - radius, x + radius, y + radius);
+            BUBBLE_COLORS.forEach((color, i) => gradient.addColorStop(i / (BUBBLE_COLORS.length - 1), color));
+            ctx.fillStyle = gradient;
+        } else if (baseType === 'bomb') {
+            ctx.fillStyle = '#2c2c2c';
+        } else if (baseType === 'stone') {
+            ctx.fillStyle = '#7f8c8d';
+        } else if (baseType === 'target') {
+            ctx.fillStyle = '#ecf0f1';
+        } else {
+            ctx.fillStyle = 'rgba(174, 226, 255, 0.75)';
         }
-    }
+        ctx.fill();
 
-    // BFS to find all connected bubbles
-    while (queue.length > 0) {
-        const current = queue.shift();
-        const neighbors = getNeighbors(current.row, current.col);
+        // Shine
+        ctx.beginPath();
+        ctx.arc(x - radius / 4, y - radius / 4, radius / 3, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fill();
 
-        for (const neighbor of neighbors) {
-            const key = `${neighbor.row},${neighbor.col}`;
-            if (!connected.has(key) && isOccupied(neighbor.row, neighbor.col)) {
-                connected.add(key);
-                queue.push(neighbor);
-            }
+        ctx.beginPath();
+        ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
+        ctx.strokeStyle = baseType === 'ice' ? '#ecf0f1' : 'rgba(0, 0, 0, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Bomb fuse / stone cross-hatch / target bullseye
+        if (baseType === 'bomb') {
+            ctx.beginPath();
+            ctx.moveTo(x, y - radius + 2);
+            ctx.lineTo(x + radius / 3, y - radius - radius / 4);
+            ctx.strokeStyle = '#e67e22';
+            ctx.lineWidth = Math.max(2, radius / 8);
+            ctx.stroke();
+        } else if (baseType === 'stone') {
+            ctx.beginPath();
+            ctx.moveTo(x - radius / 2, y - radius / 3);
+            ctx.lineTo(x + radius / 3, y + radius / 2);
+            ctx.moveTo(x + radius / 2, y - radius / 2);
+            ctx.lineTo(x - radius / 4, y + radius / 4);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        } else if (baseType === 'target') {
+            ctx.beginPath();
+            ctx.arc(x, y, radius * 0.6, 0, Math.PI * 2);
+            ctx.strokeStyle = '#e74c3c';
+            ctx.lineWidth = Math.max(2, radius / 6);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(x, y, radius * 0.2, 0, Math.PI * 2);
+            ctx.fillStyle = '#e74c3c';
+            ctx.fill();
         }
     }
 
-    return connected;
+    if (type === CRACKED_ICE) {
+        ctx.beginPath();
+        ctx.moveTo(x - radius * 0.6, y - radius * 0.2);
+        ctx.lineTo(x - radius * 0.1, y + radius * 0.1);
+        ctx.lineTo(x + radius * 0.2, y - radius * 0.5);
+        ctx.moveTo(x - radius * 0.1, y + radius * 0.1);
+        ctx.lineTo(x + radius * 0.3, y + radius * 0.6);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
 }
 
 /**
- * Remove floating bubbles and return count removed
+ * Draw the bubble grid
  */
-function removeFloatingBubbles() {
-    const connectedToCeiling = findConnectedToCeiling();
-    const gridCols = getGridCols();
-    let removedCount = 0;
-
-    for (let row = 0; row < GRID_ROWS; row++) {
-        for (let col = 0; col < gridCols; col++) {
-            if (isOccupied(row, col)) {
-                const key = `${row},${col}`;
-                if (!connectedToCeiling.has(key)) {
-                    gameState.grid[row][col] = null;
-                    removedCount++;
-                }
+function drawGrid() {
+    for (let row = 0; row < gameConfig.rows; row++) {
+        for (let col = 0; col < gameConfig.cols; col++) {
+            const colorId = gameState.grid[row][col];
+            if (colorId !== null) {
+                const pos = gridToWorld(gameConfig, row, col, gameState);
+                drawBubble(pos.x, pos.y, colorId);
             }
         }
     }
-
-    return removedCount;
 }
 
-// ============================================================================
-// COLLISION & SNAPPING
-// ============================================================================
-
 /**
- * Check if projectile collides with any bubble
- * Returns the collided bubble's grid position or null
- */
-function checkBubbleCollision(px, py) {
-    const radius = getBubbleRadius();
-    const collisionDist = radius * 2;
-    const gridCols = getGridCols();
-
-    for (let row = 0; row < GRID_ROWS; row++) {
-        for (let col = 0; col < gridCols; col++) {
-            if (isOccupied(row, col)) {
-                const pos = gridToWorld(row, col);
-                const dx = px - pos.x;
-                const dy = py - pos.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-
-                if (dist < collisionDist) {
-                    return { row, col };
-                }
-            }
-        }
-    }
-
-    return null;
-}
-
-/**
- * Find the best empty cell to snap the projectile to
- */
-function snapProjectile(px, py, hitRow, hitCol) {
-    // Get all empty neighbors of the hit bubble
-    const neighbors = getNeighbors(hitRow, hitCol);
-    const emptyNeighbors = neighbors.filter(n => isValidEmpty(n.row, n.col));
-
-    if (emptyNeighbors.length === 0) {
-        // Fallback: find nearest empty cell
-        const nearest = worldToGrid(px, py);
-        if (isValidEmpty(nearest.row, nearest.col)) {
-            return nearest;
-        }
-        return null;
-    }
-
-    // Find the closest empty neighbor to the projectile position
-    let bestCell = null;
-    let bestDist = Infinity;
-
-    for (const cell of emptyNeighbors) {
-        const pos = gridToWorld(cell.row, cell.col);
-        const dx = px - pos.x;
-        const dy = py - pos.y;
-        const dist = dx * dx + dy * dy;
-
-        if (dist < bestDist) {
-            bestDist = dist;
-            bestCell = cell;
-        }
-    }
-
-    return bestCell;
-}
-
-/**
- * Calculate snap target for debug display
- */
-function calculateSnapTarget(px, py) {
-    const radius = getBubbleRadius();
-
-    // Check for collision
-    const hitCell = checkBubbleCollision(px, py);
-
-    if (hitCell) {
-        return snapProjectile(px, py, hitCell.row, hitCell.col);
-    }
-
-    // Check ceiling
-    if (py <= radius) {
-        return worldToGrid(px, radius);
-    }
-
-    return null;
-}
-
-// ============================================================================
-// GAME LOGIC
-// ============================================================================
-
-/**
- * Initialize or reset the game
- */
-function initGame() {
-    // Reset RNG with new seed for new game
-    rng = new SeededRNG(Date.now());
-
-    // Get number of colors for current level
-    const numColors = getNumColors();
-
-    // Load background based on current level
-    if (isCustomLevel()) {
-        // Custom level: Use custom background if available
-        const level = getCurrentCustomLevel();
-        const imgData = customLevelImages[currentLevel];
-        if (imgData && imgData.background && imgData.background.complete) {
-            backgroundImage = imgData.background;
-            currentBackgroundName = level.backgroundImage;
-        } else if (level && level.backgroundImage) {
-            // Load it directly
-            backgroundImage = new Image();
-            backgroundImage.src = level.backgroundImage;
-            currentBackgroundName = level.backgroundImage;
-        } else {
-            // No custom background, use rotating backgrounds
-            const bgConfig = BACKGROUND_IMAGES[backgroundIndex];
-            backgroundImage = new Image();
-            currentBackgroundName = bgConfig.src;
-            currentBackgroundTile = bgConfig.tile;
-            backgroundImage.src = bgConfig.src;
-            backgroundIndex = (backgroundIndex + 1) % BACKGROUND_IMAGES.length;
-            localStorage.setItem('vmkBubbleBackgroundIndex', backgroundIndex.toString());
-        }
-        currentBackgroundTile = false;
-    } else if (currentLevel === 1 || currentLevel === 2) {
-        // Levels 1 & 2 (Cursed): Use curse background
-        if (curseBackgroundLoaded && curseBackgroundImage) {
-            backgroundImage = curseBackgroundImage;
-        } else {
-            // Load it directly if not preloaded yet
-            backgroundImage = new Image();
-            backgroundImage.src = 'curse-background.png';
-        }
-        currentBackgroundName = 'curse-background.png';
-        currentBackgroundTile = false;
-    } else {
-        // Level 3 (Classic): Rotate through normal backgrounds
-        const bgConfig = BACKGROUND_IMAGES[backgroundIndex];
-        backgroundImage = new Image();
-        currentBackgroundName = bgConfig.src;
-        currentBackgroundTile = bgConfig.tile;
-        backgroundImage.src = bgConfig.src;
-        backgroundIndex = (backgroundIndex + 1) % BACKGROUND_IMAGES.length;
-        localStorage.setItem('vmkBubbleBackgroundIndex', backgroundIndex.toString());
-    }
-
-    // Initialize empty grid
-    const gridCols = getGridCols();
-    gameState.grid = [];
-    for (let row = 0; row < GRID_ROWS; row++) {
-        gameState.grid[row] = [];
-        for (let col = 0; col < gridCols; col++) {
-            gameState.grid[row][col] = null;
-        }
-    }
-
-    // Fill initial rows with bubbles
-    for (let row = 0; row < INITIAL_ROWS; row++) {
-        for (let col = 0; col < gridCols; col++) {
-            gameState.grid[row][col] = rng.nextInt(0, numColors - 1);
-        }
-    }
-
-    // Reset game state
-    gameState.projectile = null;
-    gameState.currentBubble = rng.nextInt(0, numColors - 1);
-    gameState.nextBubble = rng.nextInt(0, numColors - 1);
-    gameState.score = 0;
-    gameState.shots = 0;
-    gameState.shotsWithoutPop = 0;
-    gameState.gameOver = false;
-    gameState.gameWon = false;
-    gameState.scoreSubmitted = false;
-    gameState.snapTarget = null;
-}
-
-/**
- * Fire a new bubble
- */
-function fireBubble() {
-    if (gameState.projectile !== null || gameState.gameOver || gameState.gameWon) {
-        return;
-    }
-
-    const angle = gameState.aimAngle;
-    const speed = PROJECTILE_SPEED;
-
-    gameState.projectile = {
-        x: SHOOTER_X,
-        y: SHOOTER_Y,
-        vx: Math.cos(angle) * speed,
-        vy: -Math.sin(angle) * speed, // Negative because canvas y is down
-        color: gameState.currentBubble,
-        active: true,
-        bounceCount: 0
-    };
-
-    // Cycle to next bubble
-    gameState.currentBubble = gameState.nextBubble;
-    gameState.nextBubble = rng.nextInt(0, getNumColors() - 1);
-    gameState.shots++;
-}
-
-/**
- * Place a bubble on the grid and process matches
- */
-function placeBubble(row, col, color) {
-    const gridCols = getGridCols();
-    if (row < 0 || row >= GRID_ROWS || col < 0 || col >= gridCols) {
-        return;
-    }
-
-    gameState.grid[row][col] = color;
-
-    // Find cluster of same color
-    const cluster = findCluster(row, col, color);
-
-    let popped = false;
-
-    if (cluster.length >= CLUSTER_MIN_SIZE) {
-        // Remove cluster
-        for (const cell of cluster) {
-            gameState.grid[cell.row][cell.col] = null;
-        }
-
-        // Calculate bounce bonus (25% extra per bounce)
-        const bounces = gameState.projectile ? gameState.projectile.bounceCount : 0;
-        const bounceMultiplier = 1 + (bounces * 0.25);
-        const clusterPoints = Math.floor(cluster.length * 10 * bounceMultiplier);
-        gameState.score += clusterPoints;
-        popped = true;
-
-        // Remove floating bubbles (also gets bounce bonus)
-        const floatingCount = removeFloatingBubbles();
-        if (floatingCount > 0) {
-            const floatingPoints = Math.floor(floatingCount * 20 * bounceMultiplier);
-            gameState.score += floatingPoints;
-        }
-    }
-
-    // Track shots without popping
-    if (popped) {
-        gameState.shotsWithoutPop = 0;
-    } else {
-        gameState.shotsWithoutPop++;
-
-        // Add new row if threshold reached
-        if (gameState.shotsWithoutPop >= SHOTS_BEFORE_NEW_ROW) {
-            addNewRow();
-            gameState.shotsWithoutPop = 0;
-        }
-    }
-
-    // Check game over
-    checkGameOver();
-}
-
-/**
- * Add a new row at the top and shift everything down
- */
-function addNewRow() {
-    const gridCols = getGridCols();
-
-    // Shift all rows down
-    for (let row = GRID_ROWS - 1; row > 0; row--) {
-        for (let col = 0; col < gridCols; col++) {
-            gameState.grid[row][col] = gameState.grid[row - 1][col];
-        }
-    }
-
-    // Generate new row at top
-    for (let col = 0; col < gridCols; col++) {
-        gameState.grid[0][col] = rng.nextInt(0, getNumColors() - 1);
-    }
-}
-
-/**
- * Check if game is won (all bubbles cleared)
- */
-function checkWin() {
-    const gridCols = getGridCols();
-    for (let row = 0; row < GRID_ROWS; row++) {
-        for (let col = 0; col < gridCols; col++) {
-            if (isOccupied(row, col)) {
-                return; // Still bubbles remaining
-            }
-        }
-    }
-    gameState.gameWon = true;
-}
-
-/**
- * Check if game is over
- */
-function checkGameOver() {
-    // First check for win
-    checkWin();
-    if (gameState.gameWon) return;
-
-    const gridCols = getGridCols();
-
-    // Check if any bubble is at or below the lose line
-    for (let col = 0; col < gridCols; col++) {
-        if (isOccupied(getLoseRow(), col)) {
-            gameState.gameOver = true;
-            return;
-        }
-    }
-
-    // Also check by y position
-    for (let row = 0; row < GRID_ROWS; row++) {
-        for (let col = 0; col < gridCols; col++) {
-            if (isOccupied(row, col)) {
-                const pos = gridToWorld(row, col);
-                if (pos.y >= LOSE_LINE_Y) {
-                    gameState.gameOver = true;
-                    return;
-                }
-            }
-        }
-    }
-}
-
-/**
- * Update projectile physics
- */
-function updateProjectile(dt) {
-    const proj = gameState.projectile;
-    if (!proj || !proj.active) return;
-
-    const radius = getBubbleRadius();
-
-    // Update position
-    proj.x += proj.vx * dt;
-    proj.y += proj.vy * dt;
-
-    // Wall bouncing
-    if (proj.x <= radius) {
-        proj.x = radius;
-        proj.vx = -proj.vx;
-        proj.bounceCount++;
-    } else if (proj.x >= CANVAS_WIDTH - radius) {
-        proj.x = CANVAS_WIDTH - radius;
-        proj.vx = -proj.vx;
-        proj.bounceCount++;
-    }
-
-    // Check collision with bubbles
-    const hitCell = checkBubbleCollision(proj.x, proj.y);
-
-    if (hitCell) {
-        // Snap to grid
-        const snapCell = snapProjectile(proj.x, proj.y, hitCell.row, hitCell.col);
-        if (snapCell) {
-            placeBubble(snapCell.row, snapCell.col, proj.color);
-        }
-        gameState.projectile = null;
-        return;
-    }
-
-    // Check ceiling collision
-    if (proj.y <= radius) {
-        proj.y = radius;
-        const gridPos = worldToGrid(proj.x, proj.y);
-        if (isValidEmpty(gridPos.row, gridPos.col)) {
-            placeBubble(gridPos.row, gridPos.col, proj.color);
-        }
-        gameState.projectile = null;
-        return;
-    }
-}
-
-// ============================================================================
-// RENDERING
-// ============================================================================
-
-/**
- * Draw a bubble at the specified position
- */
-function drawBubble(x, y, colorId, highlight = false, overrideRadius = null) {
-    const radius = overrideRadius !== null ? overrideRadius : getBubbleRadius();
-
-    // Custom levels: Draw custom bubble images
-    if (isCustomLevel()) {
-        const imgData = customLevelImages[currentLevel];
-        if (imgData && imgData.bubbles[colorId]) {
-            const img = imgData.bubbles[colorId];
-            if (img.complete && img.naturalWidth > 0) {
-                const size = radius * 2;
-                ctx.drawImage(img, x - radius, y - radius, size, size);
-
-                if (highlight) {
-                    ctx.beginPath();
-                    ctx.arc(x, y, radius, 0, Math.PI * 2);
-                    ctx.strokeStyle = '#fff';
-                    ctx.lineWidth = 2;
-                    ctx.stroke();
-                }
-                return;
-            }
-        }
-        // Fallback to colored circles for custom levels if images not loaded
-    }
-
-    // Level 1 & 2: Draw custom curse images
-    if ((currentLevel === 1 && curseImagesLoaded && CURSE_IMAGES[colorId]) ||
-        (currentLevel === 2 && curseBImagesLoaded && CURSE_B_IMAGES[colorId])) {
-        const img = currentLevel === 2 ? CURSE_B_IMAGES[colorId] : CURSE_IMAGES[colorId];
-        if (img.complete && img.naturalWidth > 0) {
-            // Draw the image centered at x, y
-            const size = radius * 2;
-            ctx.drawImage(img, x - radius, y - radius, size, size);
-
-            // Add highlight border if needed
-            if (highlight) {
-                ctx.beginPath();
-                ctx.arc(x, y, radius, 0, Math.PI * 2);
-                ctx.strokeStyle = '#fff';
-                ctx.lineWidth = 2;
-                ctx.stroke();
-            }
-            return;
-        }
-    }
-
-    // Level 3 (Classic) or fallback: Draw colored circles
-    const color = BUBBLE_COLORS[colorId % BUBBLE_COLORS.length];
-
-    // Main bubble
-    ctx.beginPath();
-    ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-
-    // Highlight/shine effect
-    ctx.beginPath();
-    ctx.arc(x - 4, y - 4, radius / 3, 0, Math.PI * 2);
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-    ctx.fill();
-
-    // Border
-    ctx.beginPath();
-    ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
-    ctx.strokeStyle = highlight ? '#fff' : 'rgba(0, 0, 0, 0.3)';
-    ctx.lineWidth = highlight ? 2 : 1;
-    ctx.stroke();
-}
-
-/**
- * Draw the bubble grid
- */
-function drawGrid() {
-    const gridCols = getGridCols();
-    for (let row = 0; row < GRID_ROWS; row++) {
-        for (let col = 0; col < gridCols; col++) {
-            const colorId = gameState.grid[row][col];
-            if (colorId !== null) {
-                const pos = gridToWorld(row, col);
-                drawBubble(pos.x, pos.y, colorId);
-            }
-        }
-    }
-}
-
-/**
- * Draw the shooter
+ * Draw the shooter
  */
 function drawShooter() {
-    // Draw shooter base (only for Level 3 Classic and custom levels without spinner)
-    const hasCustomSpinner = isCustomLevel() && getCurrentCustomLevel()?.spinnerImage;
-    if (currentLevel === 3 || (isCustomLevel() && !hasCustomSpinner)) {
+    // Draw shooter base (themes with a spinner draw that behind the shooter instead)
+    const theme = getCurrentTheme();
+    if (!theme.spinner) {
         ctx.beginPath();
         ctx.arc(SHOOTER_X, SHOOTER_Y, 25, 0, Math.PI * 2);
         ctx.fillStyle = '#34495e';
@@ -1184,36 +865,19 @@ function drawShooter() {
     const endX = SHOOTER_X + Math.cos(angle) * aimLength;
     const endY = SHOOTER_Y - Math.sin(angle) * aimLength;
 
-    let arrowDrawn = false;
-
-    // Check for custom level arrow first
-    if (isCustomLevel()) {
-        const imgData = customLevelImages[currentLevel];
-        if (imgData && imgData.arrow && imgData.arrow.complete && imgData.arrow.naturalWidth > 0) {
-            const arrowSize = 50;
-            ctx.save();
-            ctx.translate(endX, endY);
-            ctx.rotate(-angle + Math.PI / 2);
-            ctx.drawImage(imgData.arrow, -arrowSize / 2, -arrowSize / 2, arrowSize, arrowSize);
-            ctx.restore();
-            arrowDrawn = true;
-        }
-    }
-
-    // Use custom arrow image for cursed levels (1 & 2)
-    if (!arrowDrawn && (currentLevel === 1 || currentLevel === 2) && curseArrowLoaded && curseArrowImage.complete) {
-        const arrowSize = 50; // Size of the arrow image
+    // Theme arrow image, rotated to the aim angle (the image points up)
+    const arrow = getThemeImage(theme.arrow);
+    if (arrow) {
+        const arrowSize = 50;
         ctx.save();
         ctx.translate(endX, endY);
-        // Rotate to match aim angle (subtract PI/2 because image points up by default)
         ctx.rotate(-angle + Math.PI / 2);
-        ctx.drawImage(curseArrowImage, -arrowSize / 2, -arrowSize / 2, arrowSize, arrowSize);
+        ctx.drawImage(arrow, -arrowSize / 2, -arrowSize / 2, arrowSize, arrowSize);
         ctx.restore();
-        arrowDrawn = true;
     }
 
-    // Default aim line for levels without custom arrows
-    if (!arrowDrawn) {
+    // Default aim line for themes without an arrow
+    if (!arrow) {
         ctx.beginPath();
         ctx.moveTo(SHOOTER_X, SHOOTER_Y);
         ctx.lineTo(endX, endY);
@@ -1241,6 +905,77 @@ function drawShooter() {
     drawBubble(SHOOTER_X, SHOOTER_Y, gameState.currentBubble);
 }
 
+/**
+ * While a touch drag is in the cancel zone, mark it so lifting the finger clearly won't shoot
+ */
+function drawTouchCancelZone() {
+    if (!touchAim || !touchAim.cancelled) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(SHOOTER_X, SHOOTER_Y, TOUCH_CANCEL_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(231, 76, 60, 0.25)';
+    ctx.fill();
+    ctx.strokeStyle = '#e74c3c';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.fillStyle = '#e74c3c';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Release to cancel', SHOOTER_X, SHOOTER_Y - TOUCH_CANCEL_RADIUS - 8);
+    ctx.restore();
+}
+
+/**
+ * Draw the dotted trajectory preview, its wall bounces and the cell the shot would snap into
+ */
+function drawAimGuide() {
+    if (gameState.aimGuide === 'off' || gameState.projectile || gameState.gameOver || gameState.gameWon) return;
+    if (touchAim && touchAim.cancelled) return;
+
+    const maxBounces = gameState.aimGuide === 'bounce' ? 1 : Infinity;
+    const path = predictTrajectory(gameConfig, gameState, gameState.aimAngle, maxBounces);
+    const radius = gameConfig.radius;
+
+    ctx.save();
+
+    // Dotted path
+    ctx.beginPath();
+    ctx.moveTo(path.points[0].x, path.points[0].y);
+    for (const point of path.points.slice(1)) {
+        ctx.lineTo(point.x, point.y);
+    }
+    ctx.setLineDash([2, 8]);
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Bounce points
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    for (const point of path.points.slice(1, path.bounces + 1)) {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Landing cell
+    if (path.target) {
+        const pos = gridToWorld(gameConfig, path.target.row, path.target.col, gameState);
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
 /**
  * Draw the projectile if active
  */
@@ -1251,96 +986,189 @@ function drawProjectile() {
     drawBubble(proj.x, proj.y, proj.color, true);
 }
 
+/**
+ * Where the next bubble is drawn; tapping or clicking it swaps with the current bubble
+ */
+function getNextBubbleSpot() {
+    const theme = getCurrentTheme();
+    const frame = theme.nextFrame && getThemeImage(theme.nextFrame.src);
+    if (frame) {
+        // Inside the next frame (bottom-left corner)
+        return {
+            x: frame.naturalWidth / 2 + theme.nextFrame.offsetX,
+            y: CANVAS_HEIGHT - frame.naturalHeight / 2 + theme.nextFrame.offsetY
+        };
+    }
+    return { x: theme.next.x, y: theme.next.y };
+}
+
+function isOnNextBubble(point) {
+    const next = getNextBubbleSpot();
+    // A little larger than the bubble so small bubbles are still easy to tap
+    return Math.hypot(point.x - next.x, point.y - next.y) <= Math.max(gameConfig.radius, 24) * 1.3;
+}
+
 /**
  * Draw the UI (score, shots, next bubble)
  */
 function drawUI() {
-    ctx.fillStyle = '#ecf0f1';
+    const theme = getCurrentTheme();
+    ctx.fillStyle = theme.hudColor;
     ctx.font = '18px Arial';
 
-    // Score display - use scoreboard image for cursed levels
-    if ((currentLevel === 1 || currentLevel === 2) && curseScoreboardLoaded && curseScoreboardImage.complete) {
+    // Score display - on the theme's scoreboard frame if it has one
+    const scoreboard = theme.scoreboard && getThemeImage(theme.scoreboard.src);
+    if (scoreboard) {
         // Draw scoreboard image on RIGHT side at original size
-        const scoreboardWidth = curseScoreboardImage.naturalWidth;
-        const scoreboardHeight = curseScoreboardImage.naturalHeight;
+        const scoreboardWidth = scoreboard.naturalWidth;
+        const scoreboardHeight = scoreboard.naturalHeight;
         const scoreboardX = CANVAS_WIDTH - scoreboardWidth;
         const scoreboardY = CANVAS_HEIGHT - scoreboardHeight;
-        ctx.drawImage(curseScoreboardImage, scoreboardX, scoreboardY);
+        ctx.drawImage(scoreboard, scoreboardX, scoreboardY);
 
         // Overlay score text on scoreboard
-        ctx.fillStyle = '#f1c40f';
+        ctx.fillStyle = theme.scoreboard.color;
         ctx.font = 'bold 24px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText(`${gameState.score}`, scoreboardX + scoreboardWidth / 2 + 15, scoreboardY + scoreboardHeight / 2 + 10);
-        ctx.fillStyle = '#ecf0f1';
+        ctx.fillText(`${gameState.score}`,
+            scoreboardX + scoreboardWidth / 2 + theme.scoreboard.offsetX,
+            scoreboardY + scoreboardHeight / 2 + theme.scoreboard.offsetY);
+        ctx.fillStyle = theme.hudColor;
         ctx.font = '18px Arial';
 
         // Shots - left of shooter (shooter is at x=400)
         ctx.textAlign = 'right';
-        ctx.fillText(`Shots: ${gameState.shots}`, SHOOTER_X - 70, 580);
+        ctx.fillText(getShotsLabel(), SHOOTER_X - 70, 580);
 
         // Row in - right of spinner (spinner is at shooter position)
         ctx.textAlign = 'left';
-        const shotsLeft = SHOTS_BEFORE_NEW_ROW - gameState.shotsWithoutPop;
-        ctx.fillText(`Row in: ${shotsLeft}`, SHOOTER_X + 70, 580);
+        ctx.fillText(getPressureLabel(), SHOOTER_X + 70, 580);
     } else {
         // Default text display
         ctx.textAlign = 'left';
         ctx.fillText(`Score: ${gameState.score}`, 20, 580);
-        ctx.fillText(`Shots: ${gameState.shots}`, 150, 580);
-        const shotsLeft = SHOTS_BEFORE_NEW_ROW - gameState.shotsWithoutPop;
-        ctx.fillText(`Row in: ${shotsLeft}`, 280, 580);
+        ctx.fillText(getShotsLabel(), 150, 580);
+        ctx.fillText(getPressureLabel(), 280, 580);
     }
 
     // Show bounce bonus while projectile is active
     if (gameState.projectile && gameState.projectile.bounceCount > 0) {
         const bounces = gameState.projectile.bounceCount;
-        const bonusPercent = bounces * 25;
+        const bonusPercent = Math.round(bounces * gameConfig.bounceBonus * 100);
         ctx.fillStyle = '#f1c40f';
         ctx.fillText(`+${bonusPercent}% BOUNCE!`, 420, 580);
-        ctx.fillStyle = '#ecf0f1';
+        ctx.fillStyle = theme.hudColor;
     }
 
     // Next bubble display
     ctx.textAlign = 'right';
-    if ((currentLevel === 1 || currentLevel === 2) && curseNextLoaded && curseNextImage.complete) {
-        // Draw curse next frame image on LEFT side at original size
-        const nextFrameWidth = curseNextImage.naturalWidth;
-        const nextFrameHeight = curseNextImage.naturalHeight;
-        const nextFrameX = 0;
-        const nextFrameY = CANVAS_HEIGHT - nextFrameHeight;
-        ctx.drawImage(curseNextImage, nextFrameX, nextFrameY);
-
-        // Draw next bubble in lower portion of the frame
-        const bubbleCenterX = nextFrameX + nextFrameWidth / 2 - 10;
-        const bubbleCenterY = nextFrameY + nextFrameHeight / 2 + 25;
-        drawBubble(bubbleCenterX, bubbleCenterY, gameState.nextBubble);
-    } else if (currentLevel === 1) {
-        // Fallback for Cursed - large bubbles
-        ctx.fillText('Next:', 710, 580);
-        drawBubble(760, 560, gameState.nextBubble);
-    } else if (currentLevel === 2) {
-        // Fallback for Cursed Alt - medium bubbles
-        ctx.fillText('Next:', 730, 580);
-        drawBubble(768, 570, gameState.nextBubble);
+    const next = getNextBubbleSpot();
+    const nextFrame = theme.nextFrame && getThemeImage(theme.nextFrame.src);
+    if (nextFrame) {
+        // Draw next frame image on LEFT side at original size
+        ctx.drawImage(nextFrame, 0, CANVAS_HEIGHT - nextFrame.naturalHeight);
     } else {
-        // Classic - small bubbles
-        ctx.fillText('Next:', 750, 580);
-        drawBubble(775, 575, gameState.nextBubble);
+        ctx.fillText('Next:', theme.next.labelX, 580);
+    }
+    drawBubble(next.x, next.y, gameState.nextBubble);
+
+    // Remaining swaps (only shown when the level limits them)
+    const swapsLeft = getSwapsLeft(gameConfig, gameState);
+    if (swapsLeft !== null) {
+        ctx.fillStyle = swapsLeft > 0 ? theme.hudColor : '#7f8c8d';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(`Swaps: ${swapsLeft}`, next.x, next.y - gameConfig.radius - 8);
+    }
+
+    // Replay / stage / challenge label so players can tell what they're playing
+    if (replayState || campaignStage || gameMode !== 'normal') {
+        ctx.fillStyle = '#f1c40f';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'right';
+        let label = gameMode === 'daily' ? `DAILY CHALLENGE ${dailyDateKey}` : `SEED ${gameState.seed}`;
+        if (replayState) {
+            label = `REPLAY ${gameState.shots}/${countReplayShots(replayState.replay)}`;
+        } else if (campaignStage) {
+            label = getStageLabel();
+        }
+        ctx.fillText(label, CANVAS_WIDTH - 10, 20);
+    }
+
+    // Objective progress (clearing the board needs no reminder)
+    const objective = getObjectiveLabel();
+    if (objective) {
+        ctx.fillStyle = '#f1c40f';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(objective, 10, 20);
+    }
+}
+
+/**
+ * HUD shot count, out of the level's shot limit when it has one
+ */
+function getShotsLabel() {
+    if (gameConfig.shotLimit === null) return `Shots: ${gameState.shots}`;
+    return `Shots: ${gameState.shots}/${gameConfig.shotLimit}`;
+}
+
+/**
+ * HUD goal and progress for the level objective ('' for plain board clearing)
+ */
+function getObjectiveLabel() {
+    switch (gameConfig.objective) {
+        case 'score':
+            return `GOAL: ${gameState.score}/${gameConfig.targetScore} POINTS`;
+        case 'targets':
+            return `GOAL: DROP THE TARGETS (${countBubbles(gameConfig, gameState, 'target')} LEFT)`;
+        case 'survive':
+            return `GOAL: SURVIVE ${Math.min(gameState.rowsAdded + gameState.ceilingDrops, gameConfig.surviveRows)}/${gameConfig.surviveRows} ROWS`;
+        default:
+            return gameConfig.shotLimit === null ? '' : `GOAL: CLEAR IN ${gameConfig.shotLimit} SHOTS`;
+    }
+}
+
+/**
+ * HUD countdown to the next new row or ceiling drop
+ */
+function getPressureLabel() {
+    if (gameConfig.pressureMode === 'ceiling') {
+        return `Drop in: ${gameConfig.ceilingDropShots - gameState.shotsSinceCeilingDrop}`;
     }
+    return `Row in: ${gameConfig.shotsBeforeNewRow - gameState.shotsWithoutPop}`;
+}
+
+/**
+ * Draw the ceiling bar above the grid (ceiling pressure mode); it grows as the ceiling lowers
+ */
+function drawCeiling() {
+    if (gameConfig.pressureMode !== 'ceiling') return;
+
+    const barHeight = getCeilingOffset(gameConfig, gameState) + 4;
+    const gradient = ctx.createLinearGradient(0, 0, 0, barHeight);
+    gradient.addColorStop(0, '#2c3e50');
+    gradient.addColorStop(1, '#5d6d7e');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, CANVAS_WIDTH, barHeight);
 
+    // Bottom edge
+    ctx.fillStyle = '#95a5a6';
+    ctx.fillRect(0, barHeight - 3, CANVAS_WIDTH, 3);
 }
 
 /**
  * Draw the danger/cursed zone overlay (called early in render for proper layering)
  */
 function drawDangerZone() {
-    const dangerLineY = getLoseRow() * getRowHeight() + getBubbleRadius();
+    // Fixed on screen; in ceiling mode the grid descends toward it
+    const dangerLineY = gameConfig.loseRow * getRowHeight(gameConfig) + gameConfig.radius;
+    const theme = getCurrentTheme();
 
     // Draw subtle danger zone gradient below the line
     const gradient = ctx.createLinearGradient(0, dangerLineY, 0, dangerLineY + 60);
-    gradient.addColorStop(0, 'rgba(231, 76, 60, 0.2)');
-    gradient.addColorStop(1, 'rgba(231, 76, 60, 0)');
+    gradient.addColorStop(0, withAlpha(theme.zoneColor, 0.2));
+    gradient.addColorStop(1, withAlpha(theme.zoneColor, 0));
     ctx.fillStyle = gradient;
     ctx.fillRect(0, dangerLineY, CANVAS_WIDTH, 60);
 
@@ -1349,23 +1177,16 @@ function drawDangerZone() {
     ctx.setLineDash([8, 6]);
     ctx.moveTo(0, dangerLineY);
     ctx.lineTo(CANVAS_WIDTH, dangerLineY);
-    ctx.strokeStyle = 'rgba(231, 76, 60, 0.7)';
+    ctx.strokeStyle = withAlpha(theme.zoneColor, 0.7);
     ctx.lineWidth = 2;
     ctx.stroke();
     ctx.setLineDash([]);
 
-    // Zone label (level-dependent)
-    ctx.fillStyle = 'rgba(231, 76, 60, 0.5)';
+    // Zone label (from the theme)
+    ctx.fillStyle = withAlpha(theme.zoneColor, 0.5);
     ctx.font = 'bold 12px Arial';
     ctx.textAlign = 'left';
-    let zoneLabel = 'DANGER ZONE';
-    if (currentLevel === 1 || currentLevel === 2) {
-        zoneLabel = 'CURSED ZONE';
-    } else if (isCustomLevel()) {
-        const customLevel = getCurrentCustomLevel();
-        zoneLabel = customLevel ? customLevel.name.toUpperCase() + ' ZONE' : 'CUSTOM ZONE';
-    }
-    ctx.fillText(zoneLabel, 10, dangerLineY + 15);
+    ctx.fillText(theme.zoneLabel, 10, dangerLineY + 15);
 }
 
 /**
@@ -1376,11 +1197,12 @@ function drawGameOver() {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 
-    // Use curse-lose.png for levels 1 and 2, otherwise show text
-    if ((currentLevel === 1 || currentLevel === 2) && curseLoseLoaded && curseLoseImage.complete) {
-        // Draw curse lose image centered, covering the game area
-        const imgWidth = curseLoseImage.naturalWidth;
-        const imgHeight = curseLoseImage.naturalHeight;
+    // The theme's lose picture if it has one, otherwise show text
+    const loseImage = getThemeImage(getCurrentTheme().lose);
+    if (loseImage) {
+        // Draw lose image centered, covering the game area
+        const imgWidth = loseImage.naturalWidth;
+        const imgHeight = loseImage.naturalHeight;
         const imgX = (CANVAS_WIDTH - imgWidth) / 2;
         const imgY = (CANVAS_HEIGHT - imgHeight) / 2 - 40;
 
@@ -1395,7 +1217,7 @@ function drawGameOver() {
         ctx.fillStyle = glow;
         ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 
-        ctx.drawImage(curseLoseImage, imgX, imgY);
+        ctx.drawImage(loseImage, imgX, imgY);
 
         // Final score below the image
         ctx.fillStyle = '#ecf0f1';
@@ -1411,7 +1233,7 @@ function drawGameOver() {
         ctx.fillStyle = '#e74c3c';
         ctx.font = 'bold 48px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('GAME OVER', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 40);
+        ctx.fillText(gameState.outOfShots ? 'OUT OF SHOTS' : 'GAME OVER', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 40);
 
         // Final score
         ctx.fillStyle = '#ecf0f1';
@@ -1432,23 +1254,32 @@ function drawWin() {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 
-    // Win text
-    ctx.fillStyle = '#f1c40f';
-    ctx.font = 'bold 48px Arial';
+    // The theme's win picture if it has one, otherwise show text
+    const winImage = getThemeImage(getCurrentTheme().win);
+    let textY = CANVAS_HEIGHT / 2 - 40;
     ctx.textAlign = 'center';
-    ctx.fillText('YOU WIN!', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 40);
+    if (winImage) {
+        // Draw win image centered, with the result below it
+        const imgY = (CANVAS_HEIGHT - winImage.naturalHeight) / 2 - 40;
+        ctx.drawImage(winImage, (CANVAS_WIDTH - winImage.naturalWidth) / 2, imgY);
+        textY = imgY + winImage.naturalHeight - 30;
+    } else {
+        ctx.fillStyle = '#f1c40f';
+        ctx.font = 'bold 48px Arial';
+        ctx.fillText('YOU WIN!', CANVAS_WIDTH / 2, textY);
+    }
 
     // Final score
     ctx.fillStyle = '#ecf0f1';
     ctx.font = '24px Arial';
-    ctx.fillText(`Final Score: ${gameState.score}`, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 20);
+    ctx.fillText(`Final Score: ${gameState.score}`, CANVAS_WIDTH / 2, textY + 60);
 
     // Shots taken
     ctx.font = '18px Arial';
-    ctx.fillText(`Completed in ${gameState.shots} shots`, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 50);
+    ctx.fillText(`Completed in ${gameState.shots} shots`, CANVAS_WIDTH / 2, textY + 90);
 
     // Restart instruction
-    ctx.fillText('Press R to play again', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 85);
+    ctx.fillText('Press R to play again', CANVAS_WIDTH / 2, textY + 125);
 }
 
 /**
@@ -1457,8 +1288,8 @@ function drawWin() {
 function drawDebug() {
     if (!gameState.debugMode) return;
 
-    const radius = getBubbleRadius();
-    const gridCols = getGridCols();
+    const radius = gameConfig.radius;
+    const gridCols = gameConfig.cols;
 
     // Draw grid cell centers and indices
     ctx.font = '8px Arial';
@@ -1466,12 +1297,13 @@ function drawDebug() {
 
     for (let row = 0; row < VISIBLE_ROWS; row++) {
         for (let col = 0; col < gridCols; col++) {
-            const pos = gridToWorld(row, col);
+            const pos = gridToWorld(gameConfig, row, col, gameState);
+            const occupied = isOccupied(gameConfig, gameState, row, col);
 
             // Cell center dot
             ctx.beginPath();
             ctx.arc(pos.x, pos.y, 2, 0, Math.PI * 2);
-            ctx.fillStyle = isOccupied(row, col) ? 'rgba(255, 0, 0, 0.5)' : 'rgba(0, 255, 0, 0.3)';
+            ctx.fillStyle = occupied ? 'rgba(255, 0, 0, 0.5)' : 'rgba(0, 255, 0, 0.3)';
             ctx.fill();
 
             // Row,col indices
@@ -1479,7 +1311,7 @@ function drawDebug() {
             ctx.fillText(`${row},${col}`, pos.x, pos.y + 20);
 
             // Collision radius circle for occupied cells
-            if (isOccupied(row, col)) {
+            if (occupied) {
                 ctx.beginPath();
                 ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
                 ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
@@ -1492,10 +1324,10 @@ function drawDebug() {
     // Draw snap target if projectile is active
     if (gameState.projectile && gameState.projectile.active) {
         const proj = gameState.projectile;
-        const target = calculateSnapTarget(proj.x, proj.y);
+        const target = calculateSnapTarget(gameConfig, gameState, proj.x, proj.y);
 
         if (target) {
-            const pos = gridToWorld(target.row, target.col);
+            const pos = gridToWorld(gameConfig, target.row, target.col, gameState);
             ctx.beginPath();
             ctx.arc(pos.x, pos.y, radius + 3, 0, Math.PI * 2);
             ctx.strokeStyle = '#f1c40f';
@@ -1509,11 +1341,12 @@ function drawDebug() {
     ctx.font = '12px Arial';
     ctx.textAlign = 'left';
     ctx.fillText(`Debug Mode (D to toggle)`, 20, 20);
-    ctx.fillText(`Aim: ${(gameState.aimAngle * 180 / Math.PI).toFixed(1)}°`, 20, 35);
+    ctx.fillText(`Aim: ${(gameState.aimAngle * 180 / Math.PI).toFixed(1)}° | Guide: ${gameState.aimGuide}`, 20, 35);
     ctx.fillText(`Level: ${currentLevel} | Background: ${currentBackgroundName}`, 20, 50);
+    ctx.fillText(`Mode: ${gameMode} | Seed: ${gameState.seed}`, 20, 65);
 
     if (gameState.projectile) {
-        ctx.fillText(`Proj: (${gameState.projectile.x.toFixed(0)}, ${gameState.projectile.y.toFixed(0)})`, 20, 65);
+        ctx.fillText(`Proj: (${gameState.projectile.x.toFixed(0)}, ${gameState.projectile.y.toFixed(0)})`, 20, 80);
     }
 }
 
@@ -1527,10 +1360,7 @@ function render() {
 
     // Draw background image with transparency
     if (backgroundImage && backgroundImage.complete && backgroundImage.naturalWidth > 0) {
-        // Use higher opacity for cursed levels and custom levels with backgrounds
-        const useHighOpacity = currentLevel === 1 || currentLevel === 2 ||
-            (isCustomLevel() && getCurrentCustomLevel()?.backgroundImage);
-        ctx.globalAlpha = useHighOpacity ? CURSE_BACKGROUND_OPACITY : BACKGROUND_OPACITY;
+        ctx.globalAlpha = currentBackgroundOpacity;
 
         if (currentBackgroundTile) {
             // Tile/repeat the image across the canvas
@@ -1552,30 +1382,21 @@ function render() {
 
     // Draw danger/cursed zone (second layer, right after background)
     drawDangerZone();
+    drawCeiling();
 
     // Draw spinner behind shooter
-    let spinnerDrawn = false;
-
-    // Custom level spinner
-    if (isCustomLevel()) {
-        const imgData = customLevelImages[currentLevel];
-        if (imgData && imgData.spinner && imgData.spinner.complete && imgData.spinner.naturalWidth > 0) {
-            const spinnerX = SHOOTER_X - SPINNER_SIZE / 2;
-            const spinnerY = SHOOTER_Y - SPINNER_SIZE / 2;
-            ctx.drawImage(imgData.spinner, spinnerX, spinnerY, SPINNER_SIZE, SPINNER_SIZE);
-            spinnerDrawn = true;
-        }
-    }
-
-    // Levels 1 & 2 spinner
-    if (!spinnerDrawn && (currentLevel === 1 || currentLevel === 2) && curseSpinnerLoaded && curseSpinnerImage.complete) {
+    const spinner = getThemeImage(getCurrentTheme().spinner);
+    if (spinner) {
         const spinnerX = SHOOTER_X - SPINNER_SIZE / 2;
         const spinnerY = SHOOTER_Y - SPINNER_SIZE / 2;
-        ctx.drawImage(curseSpinnerImage, spinnerX, spinnerY, SPINNER_SIZE, SPINNER_SIZE);
+        ctx.drawImage(spinner, spinnerX, spinnerY, SPINNER_SIZE, SPINNER_SIZE);
     }
 
     // Draw game elements
     drawGrid();
+    drawAnimations();
+    drawAimGuide();
+    drawTouchCancelZone();
     drawShooter();
     drawProjectile();
     drawUI();
@@ -1589,18 +1410,427 @@ function render() {
     }
 }
 
+// ============================================================================
+// ANIMATIONS
+// ============================================================================
+// Purely visual: the grid is already updated when these start, so they never
+// hold up the next shot or change scoring. Randomness here uses Math.random,
+// not the game RNG, so replays stay identical.
+
+const POP_DURATION = 0.25;       // Seconds for a popped bubble to swell and fade
+const POP_STAGGER = 0.03;        // Delay between bubbles in the same cluster
+const FALL_GRAVITY = 1800;       // Pixels per second squared
+const FALL_MAX_DRIFT = 80;       // Max sideways speed of a falling bubble
+const MAX_ANIMATIONS = 400;      // Oldest effects are dropped past this
+const POPUP_DURATION = 1.0;      // Seconds a floating score stays up
+const POPUP_RISE = 50;           // Pixels per second a floating score drifts up
+
+let animations = []; // { type: 'pop' | 'fall' | 'popup', x, y, color, age, vx, vy, lines }
+
+/**
+ * Start pop effects for popped cells, falls for dropped ones and a floating
+ * score at the middle of the popped cells (a placeBubble() result)
+ */
+function startPlacementAnimations(result) {
+    // Cells were removed before a ceiling drop in the same shot, so draw them where they were
+    const shiftY = result.ceilingDrop ? -getRowHeight(gameConfig) : 0;
+
+    result.popped.forEach((cell, i) => {
+        const pos = gridToWorld(gameConfig, cell.row, cell.col, gameState);
+        animations.push({ type: 'pop', x: pos.x, y: pos.y + shiftY, color: cell.color, age: -i * POP_STAGGER });
+    });
+
+    for (const cell of result.dropped) {
+        const pos = gridToWorld(gameConfig, cell.row, cell.col, gameState);
+        animations.push({
+            type: 'fall',
+            x: pos.x,
+            y: pos.y + shiftY,
+            color: cell.color,
+            age: 0,
+            vx: (Math.random() * 2 - 1) * FALL_MAX_DRIFT,
+            vy: -Math.random() * 150 // Small hop before falling
+        });
+    }
+
+    if (result.points > 0) {
+        let x = 0;
+        let y = 0;
+        for (const cell of result.popped) {
+            const pos = gridToWorld(gameConfig, cell.row, cell.col, gameState);
+            x += pos.x / result.popped.length;
+            y += pos.y / result.popped.length;
+        }
+
+        const lines = [`+${result.points}`];
+        if (result.combo > 1) lines.push(`COMBO x${result.combo}`);
+        if (result.breakdown.bigDrops > 0) lines.push('BIG DROP!');
+        animations.push({ type: 'popup', x, y: y + shiftY, lines, age: 0 });
+    }
+
+    if (animations.length > MAX_ANIMATIONS) {
+        animations = animations.slice(-MAX_ANIMATIONS);
+    }
+}
+
+function updateAnimations(dt) {
+    const radius = gameConfig.radius;
+
+    for (const anim of animations) {
+        anim.age += dt;
+        if (anim.type === 'fall') {
+            anim.vy += FALL_GRAVITY * dt;
+            anim.x += anim.vx * dt;
+            anim.y += anim.vy * dt;
+        } else if (anim.type === 'popup') {
+            anim.y -= POPUP_RISE * dt;
+        }
+    }
+
+    animations = animations.filter(anim => {
+        if (anim.type === 'pop') return anim.age < POP_DURATION;
+        if (anim.type === 'popup') return anim.age < POPUP_DURATION;
+        return anim.y - radius < CANVAS_HEIGHT;
+    });
+}
+
+function drawAnimations() {
+    const radius = gameConfig.radius;
+
+    for (const anim of animations) {
+        if (anim.age < 0) {
+            // Staggered pop that hasn't started yet: still show the bubble
+            drawBubble(anim.x, anim.y, anim.color);
+            continue;
+        }
+
+        if (anim.type === 'fall') {
+            drawBubble(anim.x, anim.y, anim.color);
+            continue;
+        }
+
+        if (anim.type === 'popup') {
+            drawScorePopup(anim);
+            continue;
+        }
+
+        // Pop: swell and fade, with a burst ring
+        const t = anim.age / POP_DURATION;
+        ctx.save();
+        ctx.globalAlpha = 1 - t;
+        drawBubble(anim.x, anim.y, anim.color, false, radius * (1 + t * 0.4));
+
+        ctx.beginPath();
+        ctx.arc(anim.x, anim.y, radius * (1 + t), 0, Math.PI * 2);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+/**
+ * Floating score: points on the first line, combo / big drop callouts below, fading out
+ */
+function drawScorePopup(anim) {
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, 1 - anim.age / POPUP_DURATION);
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#000';
+
+    anim.lines.forEach((line, i) => {
+        ctx.font = i === 0 ? 'bold 22px Arial' : 'bold 14px Arial';
+        ctx.fillStyle = i === 0 ? '#f1c40f' : '#e67e22';
+        const y = anim.y + i * 18;
+        ctx.strokeText(line, anim.x, y);
+        ctx.fillText(line, anim.x, y);
+    });
+    ctx.restore();
+}
+
+// ============================================================================
+// AUDIO
+// ============================================================================
+// Built-in sounds and music are synthesized with the Web Audio API, so there are
+// no audio files to ship. Custom levels can replace any of them with uploads from
+// the Level Creator, stored next to their images in IndexedDB
+// (`${levelId}_music`, `${levelId}_sound_${event}`).
+// Browsers only allow audio after user input, so the AudioContext is created on
+// the first click or key press.
+
+const AUDIO_SETTINGS_KEY = 'vmkBubbleAudio';
+const SOUND_EVENTS = ['fire', 'bounce', 'snap', 'pop', 'drop', 'newRow', 'win', 'lose'];
+const MUSIC_VOLUME = 0.35; // Music level relative to sound effects
+
+// Synthesized effects: each note is [start Hz, end Hz, offset (s), duration (s)]
+const SYNTH_SOUNDS = {
+    fire:   { wave: 'square',   gain: 0.12, notes: [[880, 330, 0, 0.08]] },
+    bounce: { wave: 'triangle', gain: 0.25, notes: [[260, 200, 0, 0.06]] },
+    snap:   { wave: 'sine',     gain: 0.3,  notes: [[180, 110, 0, 0.07]] },
+    pop:    { wave: 'sine',     gain: 0.25, notes: [[600, 1400, 0, 0.09]] },
+    drop:   { wave: 'triangle', gain: 0.2,  notes: [[500, 90, 0, 0.35]] },
+    newRow: { wave: 'sawtooth', gain: 0.12, notes: [[110, 70, 0, 0.3]] },
+    win:    { wave: 'square',   gain: 0.12, notes: [[523, 523, 0, 0.12], [659, 659, 0.12, 0.12], [784, 784, 0.24, 0.12], [1047, 1047, 0.36, 0.45]] },
+    lose:   { wave: 'triangle', gain: 0.25, notes: [[392, 392, 0, 0.2], [330, 330, 0.2, 0.2], [262, 196, 0.4, 0.6]] }
+};
+
+// Built-in music loop: one melody note per beat (Hz, 0 = rest), one bass note per 4 beats
+const MUSIC_BEAT = 0.25;
+const MUSIC_MELODY = [
+    523, 659, 784, 659, 587, 0, 523, 0, 440, 523, 587, 523, 440, 0, 392, 0,
+    523, 659, 784, 880, 784, 0, 659, 0, 587, 659, 587, 523, 440, 0, 523, 0
+];
+const MUSIC_BASS = [131, 110, 87, 98, 131, 110, 98, 131];
+
+let audioSettings = loadAudioSettings();
+let audioCtx = null;
+let masterGain = null;        // Volume / mute, everything goes through it
+let musicGain = null;
+let musicSource = null;
+let musicKey = null;          // What musicSource is playing: 'builtin' or a custom level id
+let builtInMusicBuffer = null;
+let audioBuffers = {};        // Decoded uploads by IndexedDB id (null if missing or undecodable)
+
+function loadAudioSettings() {
+    const saved = localStorage.getItem(AUDIO_SETTINGS_KEY);
+    return Object.assign({ muted: false, volume: 0.7 }, saved ? JSON.parse(saved) : {});
+}
+
+function saveAudioSettings() {
+    localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(audioSettings));
+}
+
+/**
+ * Create the AudioContext on the first user input (or resume it if the browser suspended it)
+ */
+function unlockAudio() {
+    if (audioCtx) {
+        if (audioCtx.state === 'suspended' && !paused) audioCtx.resume();
+        return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    audioCtx = new AudioContextClass();
+    masterGain = audioCtx.createGain();
+    masterGain.connect(audioCtx.destination);
+    musicGain = audioCtx.createGain();
+    musicGain.gain.value = MUSIC_VOLUME;
+    musicGain.connect(masterGain);
+
+    applyAudioSettings();
+    updateLevelAudio();
+}
+
+/**
+ * Push the saved volume / mute setting to the mixer and the header controls
+ */
+function applyAudioSettings() {
+    if (masterGain) {
+        masterGain.gain.value = audioSettings.muted ? 0 : audioSettings.volume;
+    }
+    document.getElementById('muteBtn').textContent = audioSettings.muted ? 'Sound: Off' : 'Sound: On';
+    document.getElementById('muteBtn').classList.toggle('active', !audioSettings.muted);
+    document.getElementById('volumeSlider').value = Math.round(audioSettings.volume * 100);
+}
+
+function toggleMute() {
+    audioSettings.muted = !audioSettings.muted;
+    saveAudioSettings();
+    applyAudioSettings();
+}
+
+function setVolume(percent) {
+    audioSettings.volume = Math.max(0, Math.min(100, percent)) / 100;
+    audioSettings.muted = false;
+    saveAudioSettings();
+    applyAudioSettings();
+}
+
+/**
+ * Decode a custom level's uploaded music and sounds (once per file)
+ */
+async function loadCustomLevelAudio(levelId) {
+    const level = getCustomLevelById(levelId);
+    if (!level) return;
+
+    const ids = (level.sounds || []).map(event => `${levelId}_sound_${event}`);
+    if (level.hasMusic) ids.push(`${levelId}_music`);
+
+    for (const id of ids) {
+        if (id in audioBuffers) continue;
+        audioBuffers[id] = null;
+
+        const blob = await getImageFromDB(id);
+        if (!blob) continue;
+        try {
+            audioBuffers[id] = await audioCtx.decodeAudioData(await blob.arrayBuffer());
+        } catch (error) {
+            console.warn(`Could not decode ${id}:`, error);
+        }
+    }
+}
+
+/**
+ * Load the current level's uploads (if any) and switch to its music
+ */
+async function updateLevelAudio() {
+    if (!audioCtx) return;
+    if (isCustomLevel()) {
+        await loadCustomLevelAudio(currentLevel);
+    }
+    if (!gameState.gameOver && !gameState.gameWon) {
+        playMusic();
+    }
+}
+
+/**
+ * Uploaded buffer for the current custom level: name is 'music' or `sound_${event}`
+ */
+function getCustomAudio(name) {
+    if (!isCustomLevel()) return null;
+    return audioBuffers[`${currentLevel}_${name}`] || null;
+}
+
+function playMusic() {
+    const custom = getCustomAudio('music');
+    const key = custom ? currentLevel : 'builtin';
+    if (musicSource && musicKey === key) return;
+
+    stopMusic();
+    if (!custom && !builtInMusicBuffer) {
+        builtInMusicBuffer = createMusicBuffer();
+    }
+
+    musicSource = audioCtx.createBufferSource();
+    musicSource.buffer = custom || builtInMusicBuffer;
+    musicSource.loop = true;
+    musicSource.connect(musicGain);
+    musicSource.start();
+    musicKey = key;
+}
+
+function stopMusic() {
+    if (!musicSource) return;
+    musicSource.stop();
+    musicSource.disconnect();
+    musicSource = null;
+    musicKey = null;
+}
+
+/**
+ * Render the built-in loop once: plucked melody over a soft bass line
+ */
+function createMusicBuffer() {
+    const rate = audioCtx.sampleRate;
+    const beatSamples = Math.floor(MUSIC_BEAT * rate);
+    const buffer = audioCtx.createBuffer(1, beatSamples * MUSIC_MELODY.length, rate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < data.length; i++) {
+        const beat = Math.floor(i / beatSamples);
+        const time = i / rate;
+        const noteTime = (i % beatSamples) / rate;
+
+        const melody = MUSIC_MELODY[beat];
+        const bass = MUSIC_BASS[Math.floor(beat / 4)];
+
+        let sample = 0.12 * Math.sin(2 * Math.PI * bass * time);
+        if (melody) {
+            sample += 0.25 * Math.exp(-noteTime * 8) * Math.sin(2 * Math.PI * melody * time);
+        }
+        data[i] = sample;
+    }
+    return buffer;
+}
+
+/**
+ * Play a game sound (one of SOUND_EVENTS): the level's upload, or the synthesized default
+ */
+function playSound(event) {
+    if (!audioCtx || audioSettings.muted) return;
+
+    const custom = getCustomAudio(`sound_${event}`);
+    if (custom) {
+        const source = audioCtx.createBufferSource();
+        source.buffer = custom;
+        source.connect(masterGain);
+        source.start();
+        return;
+    }
+
+    const sound = SYNTH_SOUNDS[event];
+    const now = audioCtx.currentTime;
+    for (const [from, to, offset, duration] of sound.notes) {
+        const start = now + offset;
+        const oscillator = audioCtx.createOscillator();
+        const gain = audioCtx.createGain();
+
+        oscillator.type = sound.wave;
+        oscillator.frequency.setValueAtTime(from, start);
+        oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+        gain.gain.setValueAtTime(sound.gain, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+        oscillator.connect(gain);
+        gain.connect(masterGain);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+}
+
+/**
+ * Sounds for a placeBubble() result
+ */
+function playPlacementSounds(result) {
+    playSound(result.popped.length > 0 ? 'pop' : 'snap');
+    if (result.dropped.length > 0) playSound('drop');
+    if (result.newRow || result.ceilingDrop) playSound('newRow');
+}
+
+/**
+ * Game over or won: the music stops for the jingle
+ */
+function playGameEndSound(won) {
+    if (!audioCtx) return;
+    stopMusic();
+    playSound(won ? 'win' : 'lose');
+}
+
 // ============================================================================
 // INPUT HANDLING
 // ============================================================================
 
-function handleMouseMove(e) {
+const TOUCH_CANCEL_RADIUS = 60;  // Releasing a drag this close to the shooter (or below it) cancels the shot
+const TOUCH_CLICK_GUARD = 500;   // ms after a touch ends during which the browser's follow-up click is ignored
+
+// Active touch/pen drag: { pointerId, cancelled }
+let touchAim = null;
+let lastTouchEnd = -Infinity;
+
+/**
+ * Event position in canvas pixels (the canvas may be scaled down by CSS on small screens)
+ */
+function getCanvasPoint(e) {
     const rect = canvas.getBoundingClientRect();
-    gameState.mouseX = e.clientX - rect.left;
-    gameState.mouseY = e.clientY - rect.top;
+    return {
+        x: (e.clientX - rect.left) * CANVAS_WIDTH / rect.width,
+        y: (e.clientY - rect.top) * CANVAS_HEIGHT / rect.height
+    };
+}
+
+/**
+ * Point the shooter at a canvas position
+ */
+function aimAt(x, y) {
+    gameState.mouseX = x;
+    gameState.mouseY = y;
 
     // Calculate aim angle
-    const dx = gameState.mouseX - SHOOTER_X;
-    const dy = SHOOTER_Y - gameState.mouseY; // Inverted for screen coords
+    const dx = x - SHOOTER_X;
+    const dy = SHOOTER_Y - y; // Inverted for screen coords
 
     let angle = Math.atan2(dy, dx);
 
@@ -1610,35 +1840,143 @@ function handleMouseMove(e) {
     gameState.aimAngle = angle;
 }
 
+function handleMouseMove(e) {
+    if (replayState) return; // Aim comes from the replay
+
+    const point = getCanvasPoint(e);
+    aimAt(point.x, point.y);
+}
+
+/**
+ * Fire at the current aim (mouse, touch, keyboard and gamepad all end up here)
+ */
+function shoot() {
+    if (replayState || paused) return;
+    if (fireBubble(gameConfig, gameState, gameState.aimAngle)) {
+        playSound('fire');
+    }
+}
+
+/**
+ * Exchange the current and next bubble (right-click, swap key or clicking the next bubble)
+ */
+function swap() {
+    if (replayState || paused) return;
+    swapBubbles(gameConfig, gameState);
+}
+
 function handleClick(e) {
-    if (!gameState.gameOver && !gameState.gameWon) {
-        fireBubble();
+    if (e.timeStamp - lastTouchEnd < TOUCH_CLICK_GUARD) return; // Touch shots fire on release instead
+    if (isOnNextBubble(getCanvasPoint(e))) {
+        swap();
+    } else {
+        shoot();
+    }
+}
+
+function handleContextMenu(e) {
+    e.preventDefault();
+    swap();
+}
+
+// Touch and pen: drag to aim, release to fire, drag back to the shooter to cancel.
+// Mouse input keeps using mousemove/click above.
+function handlePointerDown(e) {
+    if (e.pointerType === 'mouse' || replayState || touchAim) return;
+    e.preventDefault();
+    if (isOnNextBubble(getCanvasPoint(e))) {
+        lastTouchEnd = e.timeStamp; // Swallow the click that follows the tap
+        swap();
+        return;
+    }
+    canvas.setPointerCapture(e.pointerId);
+    touchAim = { pointerId: e.pointerId, cancelled: false };
+    updateTouchAim(e);
+}
+
+function handlePointerMove(e) {
+    if (!touchAim || e.pointerId !== touchAim.pointerId) return;
+    e.preventDefault();
+    updateTouchAim(e);
+}
+
+function handlePointerUp(e) {
+    if (!touchAim || e.pointerId !== touchAim.pointerId) return;
+    e.preventDefault();
+    updateTouchAim(e);
+
+    const cancelled = touchAim.cancelled;
+    touchAim = null;
+    lastTouchEnd = e.timeStamp;
+    if (!cancelled) {
+        shoot();
+    }
+}
+
+function handlePointerCancel(e) {
+    if (touchAim && e.pointerId === touchAim.pointerId) {
+        touchAim = null;
+        lastTouchEnd = e.timeStamp;
+    }
+}
+
+function updateTouchAim(e) {
+    const point = getCanvasPoint(e);
+    const nearShooter = Math.hypot(point.x - SHOOTER_X, point.y - SHOOTER_Y) < TOUCH_CANCEL_RADIUS;
+    touchAim.cancelled = nearShooter || point.y > SHOOTER_Y;
+
+    // Keep the last real aim while in the cancel zone
+    if (!touchAim.cancelled) {
+        aimAt(point.x, point.y);
     }
 }
 
 function handleKeyDown(e) {
-    switch (e.key.toLowerCase()) {
-        case 'r':
-            initGame();
-            break;
-        case 'd':
-            gameState.debugMode = !gameState.debugMode;
-            break;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return; // Typing a name or replay code
+
+    const key = e.key.toLowerCase();
+    if (rebinding) {
+        if (rebinding.type === 'key') {
+            e.preventDefault();
+            if (key === 'escape') {
+                rebinding = null;
+                renderControls();
+            } else {
+                finishRebind(key);
+            }
+        }
+        return;
     }
+
+    const action = findBoundAction('key', key);
+    if (!action) return;
+    e.preventDefault(); // Space and arrows would scroll the page
+    runAction(action, e.shiftKey);
 }
 
 /**
  * Set the current level and update UI
  */
 async function setLevel(level) {
+    exitReplayMode();
     currentLevel = level;
+    campaignStage = null; // Back to free play (playStage sets its stage after this)
 
     // Preload custom level images if needed (async)
     if (typeof level === 'string' && level.startsWith('custom_')) {
         await preloadCustomLevelImages(level);
     }
 
-    // Update button states
+    updateLevelButtons(level);
+
+    // Restart the game with new level
+    initGame();
+}
+
+/**
+ * Highlight the button for the given level
+ */
+function updateLevelButtons(level) {
     const level1Btn = document.getElementById('level1Btn');
     const level2Btn = document.getElementById('level2Btn');
     const level3Btn = document.getElementById('level3Btn');
@@ -1665,15 +2003,569 @@ async function setLevel(level) {
             customBtn.classList.add('active');
         }
     }
+}
+
+/**
+ * Switch between normal play and the daily challenge
+ */
+function toggleDailyChallenge() {
+    exitReplayMode();
+    gameMode = gameMode === 'daily' ? (sharedSeed !== null ? 'seeded' : 'normal') : 'daily';
+    document.getElementById('dailyBtn').classList.toggle('active', gameMode === 'daily');
+    initGame();
+}
+
+/**
+ * Copy a link to the current board (seed + level) to the clipboard
+ */
+async function shareSeed() {
+    const url = getShareUrl();
+    try {
+        await navigator.clipboard.writeText(url);
+        alert('Link copied! Anyone who opens it plays this exact board.');
+    } catch (error) {
+        // Clipboard API unavailable (e.g. not a secure context)
+        prompt('Copy this link to share the board:', url);
+    }
+}
+
+/**
+ * Read ?seed= and ?level= from the URL. Returns the requested level or null.
+ */
+function applyUrlParams() {
+    const params = new URLSearchParams(window.location.search);
+
+    const seedParam = params.get('seed');
+    if (seedParam) {
+        sharedSeed = parseSeed(seedParam);
+        gameMode = 'seeded';
+    }
+
+    const levelParam = params.get('level');
+    if (!levelParam) return null;
+    if (['1', '2', '3'].includes(levelParam)) return parseInt(levelParam);
+    return getCustomLevelById(levelParam) ? levelParam : null;
+}
+
+// ============================================================================
+// KEYBOARD & GAMEPAD CONTROLS
+// ============================================================================
+// Every action can be rebound (Controls button). Keys are stored as lower-cased
+// KeyboardEvent.key values, gamepad buttons as standard-mapping indices.
+
+const CONTROLS_KEY = 'vmkBubbleControls';
+const AIM_STEP_COARSE = 5 * (Math.PI / 180);
+const AIM_STEP_FINE = 1 * (Math.PI / 180);    // Shift + aim key, or the gamepad aim buttons
+const GAMEPAD_DEADZONE = 0.3;                 // Stick tilt ignored below this
+
+const CONTROL_ACTIONS = [
+    { action: 'aimLeft', label: 'Aim left', key: 'arrowleft', button: 14 },
+    { action: 'aimRight', label: 'Aim right', key: 'arrowright', button: 15 },
+    { action: 'fire', label: 'Fire', key: ' ', button: 0 },
+    { action: 'swap', label: 'Swap bubbles', key: 's', button: 1 },
+    { action: 'pause', label: 'Pause', key: 'escape', button: 9 },
+    { action: 'restart', label: 'Restart', key: 'r', button: 8 },
+    { action: 'debug', label: 'Debug view', key: 'd', button: null }
+];
+
+const KEY_NAMES = { ' ': 'Space', arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓' };
+const BUTTON_NAMES = {
+    0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT', 8: 'Back', 9: 'Start',
+    12: 'D-pad up', 13: 'D-pad down', 14: 'D-pad left', 15: 'D-pad right'
+};
+
+let controls = loadControls();
+let rebinding = null;       // { action, type: 'key' | 'button' } while waiting for input
+let gamepadButtons = [];    // Pressed state of each button last frame
+
+/**
+ * Saved bindings: { keys: { action: key }, buttons: { action: index } }.
+ * An action added since the bindings were saved gets its default key or button,
+ * unless the saved bindings already use it for something else; then it starts unbound.
+ */
+function loadControls() {
+    const saved = localStorage.getItem(CONTROLS_KEY);
+    const stored = saved ? JSON.parse(saved) : {};
+    const pick = (bindings = {}, action, fallback) => {
+        if (action in bindings) return bindings[action];
+        return Object.values(bindings).includes(fallback) ? null : fallback;
+    };
+
+    const loaded = { keys: {}, buttons: {} };
+    for (const { action, key, button } of CONTROL_ACTIONS) {
+        loaded.keys[action] = pick(stored.keys, action, key);
+        loaded.buttons[action] = pick(stored.buttons, action, button);
+    }
+    return loaded;
+}
+
+function saveControls() {
+    localStorage.setItem(CONTROLS_KEY, JSON.stringify(controls));
+}
+
+function findBoundAction(type, value) {
+    const bindings = type === 'key' ? controls.keys : controls.buttons;
+    return Object.keys(bindings).find(action => bindings[action] === value) || null;
+}
+
+function rotateAim(delta) {
+    if (replayState || paused) return;
+    gameState.aimAngle = Math.max(MIN_AIM_ANGLE, Math.min(MAX_AIM_ANGLE, gameState.aimAngle + delta));
+}
+
+function runAction(action, fine) {
+    if (paused && action !== 'pause') return;
+
+    const step = fine ? AIM_STEP_FINE : AIM_STEP_COARSE;
+    switch (action) {
+        case 'aimLeft':
+            rotateAim(step);
+            break;
+        case 'aimRight':
+            rotateAim(-step);
+            break;
+        case 'fire':
+            shoot();
+            break;
+        case 'swap':
+            swap();
+            break;
+        case 'pause':
+            if (replayState) {
+                toggleReplayPause();
+            } else {
+                togglePause();
+            }
+            break;
+        case 'restart':
+            if (replayState) {
+                restartReplay();
+            } else {
+                confirmRestart();
+            }
+            break;
+        case 'debug':
+            gameState.debugMode = !gameState.debugMode;
+            break;
+    }
+}
+
+/**
+ * Poll the first connected gamepad (called every frame): the left stick points the
+ * shooter, bound buttons run their action on press (aim buttons use fine steps)
+ */
+function pollGamepad() {
+    if (!navigator.getGamepads) return;
+    const pad = Array.from(navigator.getGamepads()).find(p => p && p.connected);
+    if (!pad) return;
+
+    const pressed = pad.buttons.map(button => button.pressed);
+    const justPressed = pressed.map((down, i) => down && !gamepadButtons[i]);
+    gamepadButtons = pressed;
+
+    if (rebinding) {
+        const index = justPressed.indexOf(true);
+        if (rebinding.type === 'button' && index !== -1) {
+            finishRebind(index);
+        }
+        return;
+    }
+
+    justPressed.forEach((down, index) => {
+        const action = down ? findBoundAction('button', index) : null;
+        if (action) runAction(action, true);
+    });
+
+    const x = pad.axes[0] || 0;
+    const y = pad.axes[1] || 0;
+    if (!replayState && !paused && Math.hypot(x, y) > GAMEPAD_DEADZONE) {
+        const angle = Math.atan2(-y, x);
+        if (angle >= 0) {
+            gameState.aimAngle = Math.max(MIN_AIM_ANGLE, Math.min(MAX_AIM_ANGLE, angle));
+        } else if (x !== 0) {
+            // Below the horizon: hold the limit on the stick's side instead of flipping across
+            gameState.aimAngle = x < 0 ? MAX_AIM_ANGLE : MIN_AIM_ANGLE;
+        }
+    }
+}
+
+function formatKey(key) {
+    if (key === null) return '—';
+    return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+function formatButton(index) {
+    if (index === null) return '—';
+    return BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+function openControls() {
+    rebinding = null;
+    renderControls();
+    document.getElementById('controlsModal').classList.add('active');
+}
+
+function closeControls() {
+    rebinding = null;
+    document.getElementById('controlsModal').classList.remove('active');
+}
+
+function renderControls() {
+    document.getElementById('controlsList').innerHTML = CONTROL_ACTIONS.map(({ action, label }) => {
+        const waitingKey = rebinding && rebinding.action === action && rebinding.type === 'key';
+        const waitingButton = rebinding && rebinding.action === action && rebinding.type === 'button';
+        return `
+            <li>
+                <span class="name">${label}</span>
+                <button class="bind-btn ${waitingKey ? 'waiting' : ''}" onclick="startRebind('${action}', 'key')">
+                    ${waitingKey ? 'Press a key...' : escapeHtml(formatKey(controls.keys[action]))}
+                </button>
+                <button class="bind-btn ${waitingButton ? 'waiting' : ''}" onclick="startRebind('${action}', 'button')">
+                    ${waitingButton ? 'Press a button...' : formatButton(controls.buttons[action])}
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+function startRebind(action, type) {
+    rebinding = { action, type };
+    renderControls();
+}
+
+/**
+ * Bind the pressed key / button to the action being rebound; whatever had it before is unbound
+ */
+function finishRebind(value) {
+    const { action, type } = rebinding;
+    const bindings = type === 'key' ? controls.keys : controls.buttons;
+    const previous = findBoundAction(type, value);
+    if (previous) bindings[previous] = null;
+    bindings[action] = value;
+
+    rebinding = null;
+    saveControls();
+    renderControls();
+}
+
+function resetControls() {
+    localStorage.removeItem(CONTROLS_KEY);
+    controls = loadControls();
+    rebinding = null;
+    renderControls();
+}
+
+// ============================================================================
+// PAUSE & SAVED GAME
+// ============================================================================
+// An unfinished game is saved to localStorage after every shot, when pausing and
+// when the page is hidden, and comes back paused on the next visit.
+
+const SAVED_GAME_KEY = 'vmkBubbleSavedGame';
+const SAVED_GAME_VERSION = 1;
+
+let paused = false;
+
+function isGameInProgress() {
+    return !replayState && !gameState.gameOver && !gameState.gameWon;
+}
+
+function pauseGame(title = 'Paused') {
+    if (paused || !isGameInProgress()) return;
+    paused = true;
+    touchAim = null;
+    saveGame();
+    if (audioCtx) audioCtx.suspend();
+
+    document.getElementById('pauseTitle').textContent = title;
+    document.getElementById('pauseModal').classList.add('active');
+}
+
+function resumeGame() {
+    if (!paused) return;
+    paused = false;
+    if (audioCtx) audioCtx.resume();
+    document.getElementById('pauseModal').classList.remove('active');
+}
+
+function togglePause() {
+    if (paused) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
+
+/**
+ * Restart the level, asking first if that would throw away a game in progress
+ */
+function confirmRestart() {
+    if (isGameInProgress() && gameState.shots > 0 &&
+        !confirm('Restart this level? Your current game will be lost.')) {
+        return;
+    }
+    resumeGame();
+    discardCurrentGame();
+    initGame();
+}
+
+/**
+ * Abandon the current game and pick another level
+ */
+function quitToLevelSelect() {
+    resumeGame();
+    discardCurrentGame();
+    initGame();
+    openLevelSelect();
+}
+
+/**
+ * Save the game in progress (nothing to save before the first move)
+ */
+function saveGame() {
+    if (!isGameInProgress() || gameState.shotLog.length === 0) return;
+
+    localStorage.setItem(SAVED_GAME_KEY, JSON.stringify({
+        v: SAVED_GAME_VERSION,
+        level: currentLevel,
+        mode: gameMode,
+        day: gameMode === 'daily' ? dailyDateKey : null,
+        cols: gameConfig.cols,
+        radius: gameConfig.radius,
+        state: serializeState(gameState),
+        playTime: gameState.playTime,
+        campaign: campaignStage,
+        date: Date.now()
+    }));
+}
+
+function clearSavedGame() {
+    localStorage.removeItem(SAVED_GAME_KEY);
+}
+
+// Restart / quit: a game with shots taken is the saved one, so its save goes with it
+function discardCurrentGame() {
+    if (isGameInProgress() && gameState.shots > 0) clearSavedGame();
+}
+
+/**
+ * The saved game, or null if there is none or its level no longer exists
+ */
+function loadSavedGame() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_GAME_KEY));
+        if (!saved || saved.v !== SAVED_GAME_VERSION) return null;
+        if (typeof saved.level === 'string' && !getCustomLevelById(saved.level)) return null;
+        return saved;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Put a saved game back on the board (its level must already be current) and pause it
+ */
+function resumeSavedGame(saved) {
+    // Admin changes to the grid since the save would misplace every bubble
+    if (saved.cols !== gameConfig.cols || saved.radius !== gameConfig.radius) {
+        clearSavedGame();
+        return;
+    }
+
+    Object.assign(gameState, restoreState(saved.state));
+    gameState.playTime = saved.playTime || 0;
+    campaignStage = saved.campaign && getCampaign(saved.campaign.campaignId) ? saved.campaign : null;
+    pauseGame('Welcome back!');
+}
+
+// ============================================================================
+// CAMPAIGN & LEVEL SELECT
+// ============================================================================
+// Campaign rules (stars, unlocks) live in game-core.js. Custom campaigns come from the
+// Level Creator; progress is kept per campaign as { [stageIndex]: { stars, bestScore, bestShots } }
+// (the Level Creator moves it to the new indices when a campaign's stages are edited).
+
+const CAMPAIGNS_KEY = 'bubbleShooterCampaigns';
+const CAMPAIGN_PROGRESS_KEY = 'vmkBubbleCampaignProgress';
+
+const BUILT_IN_CAMPAIGN = {
+    id: 'tour',
+    name: 'Bubble Tour',
+    stages: [
+        { level: 3, stars: { by: 'score', thresholds: [1500, 2500] } },
+        { level: 1, stars: { by: 'shots', thresholds: [30, 20] } },
+        { level: 2, stars: { by: 'score', thresholds: [1000, 1800] } }
+    ]
+};
+
+// Stage being played: { campaignId, index }, or null in free play
+let campaignStage = null;
+
+function getCampaigns() {
+    const saved = localStorage.getItem(CAMPAIGNS_KEY);
+    return [BUILT_IN_CAMPAIGN].concat(saved ? JSON.parse(saved) : []);
+}
+
+function getCampaign(campaignId) {
+    return getCampaigns().find(campaign => campaign.id === campaignId);
+}
+
+// A campaign can't be played once one of its custom levels has been deleted
+function isCampaignPlayable(campaign) {
+    return campaign.stages.length > 0 &&
+        campaign.stages.every(stage => typeof stage.level === 'number' || getCustomLevelById(stage.level));
+}
+
+function loadCampaignProgress(campaignId) {
+    const data = localStorage.getItem(CAMPAIGN_PROGRESS_KEY);
+    return (data ? JSON.parse(data) : {})[campaignId] || {};
+}
+
+function saveCampaignProgress(campaignId, progress) {
+    const data = localStorage.getItem(CAMPAIGN_PROGRESS_KEY);
+    const all = data ? JSON.parse(data) : {};
+    all[campaignId] = progress;
+    localStorage.setItem(CAMPAIGN_PROGRESS_KEY, JSON.stringify(all));
+}
+
+function formatStars(stars) {
+    return '&#9733;'.repeat(stars) + '&#9734;'.repeat(3 - stars);
+}
+
+function describeStarTargets(stage) {
+    const [two, three] = stage.stars.thresholds;
+    return stage.stars.by === 'shots'
+        ? `2 stars in ${two} shots, 3 in ${three}`
+        : `2 stars at ${two} points, 3 at ${three}`;
+}
+
+/**
+ * HUD label for the stage being played
+ */
+function getStageLabel() {
+    const campaign = getCampaign(campaignStage.campaignId);
+    return `${campaign.name.toUpperCase()} - STAGE ${campaignStage.index + 1}/${campaign.stages.length}`;
+}
+
+async function playStage(campaignId, index) {
+    const campaign = getCampaign(campaignId);
+    if (!campaign || !isCampaignPlayable(campaign) ||
+        !isStageUnlocked(loadCampaignProgress(campaignId), index)) {
+        return;
+    }
+
+    closeLevelSelect();
+    closeNameEntry();
+    await setLevel(campaign.stages[index].level);
+    campaignStage = { campaignId, index };
+}
+
+function playNextStage() {
+    playStage(campaignStage.campaignId, campaignStage.index + 1);
+}
+
+/**
+ * Rate the finished stage and save progress. Returns the stars earned, or null outside a campaign.
+ */
+function finishCampaignStage() {
+    if (!campaignStage) return null;
+
+    const { campaignId, index } = campaignStage;
+    const campaign = getCampaign(campaignId);
+    const progress = loadCampaignProgress(campaignId);
+    const stars = recordStageResult(campaign, progress, index, {
+        won: gameState.gameWon,
+        score: gameState.score,
+        shots: gameState.shots
+    });
+    saveCampaignProgress(campaignId, progress);
+    return stars;
+}
+
+/**
+ * Stage result in the game-end modal (stars, and a way on to the next stage)
+ */
+function renderCampaignResult(stars) {
+    const container = document.getElementById('campaignResult');
+    if (stars === null) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const campaign = getCampaign(campaignStage.campaignId);
+    const hasNext = campaignStage.index + 1 < campaign.stages.length;
+    if (stars === 0) {
+        container.innerHTML = `<p>Stage ${campaignStage.index + 1} failed. Press R to try again.</p>`;
+    } else {
+        container.innerHTML = `
+            <p>Stage ${campaignStage.index + 1} cleared!</p>
+            <div class="stage-stars">${formatStars(stars)}</div>
+            ${hasNext ? '<button class="header-btn" onclick="playNextStage()">Next Stage</button>' : `<p>${escapeHtml(campaign.name)} complete!</p>`}
+        `;
+    }
+}
+
+function renderCampaigns() {
+    document.getElementById('campaignList').innerHTML = getCampaigns().map(campaign => {
+        const progress = loadCampaignProgress(campaign.id);
+        const playable = isCampaignPlayable(campaign);
+        const earned = campaign.stages.reduce((total, stage, index) => total + (progress[index] ? progress[index].stars : 0), 0);
+
+        const stages = campaign.stages.map((stage, index) => {
+            const unlocked = playable && isStageUnlocked(progress, index);
+            const level = typeof stage.level === 'number' || getCustomLevelById(stage.level) ? getLevelName(stage.level) : 'Missing level';
+            return `
+                <li class="${unlocked ? '' : 'locked'}">
+                    <span class="rank">${index + 1}</span>
+                    <span class="name">
+                        ${escapeHtml(level)}
+                        <span class="entry-details">${describeStarTargets(stage)}</span>
+                    </span>
+                    <span class="stage-stars">${formatStars(progress[index] ? progress[index].stars : 0)}</span>
+                    ${unlocked ? `<button class="watch-btn" onclick="playStage('${campaign.id}', ${index})">Play</button>` : '<span class="stage-lock" title="Win the previous stage to unlock">&#128274;</span>'}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="campaign">
+                <h3>${escapeHtml(campaign.name)} <span class="campaign-stars">&#9733; ${earned} / ${campaign.stages.length * 3}</span></h3>
+                ${playable ? '' : '<p class="controls-hint">Some of this campaign\'s levels have been deleted.</p>'}
+                <ul class="leaderboard-list">${stages}</ul>
+            </div>
+        `;
+    }).join('');
+}
 
-    // Restart the game with new level
-    initGame();
+function openLevelSelect() {
+    renderCampaigns();
+
+    const levels = [1, 2, 3].concat(customLevels.map(level => level.id));
+    document.getElementById('levelSelectList').innerHTML = levels.map((level, index) => `
+        <li>
+            <span class="rank">${index + 1}</span>
+            <span class="name">${escapeHtml(getLevelName(level))}</span>
+            <button class="watch-btn" onclick="chooseLevel(${typeof level === 'string' ? `'${level}'` : level})">Play</button>
+        </li>
+    `).join('');
+    document.getElementById('levelSelectModal').classList.add('active');
+}
+
+function closeLevelSelect() {
+    document.getElementById('levelSelectModal').classList.remove('active');
+}
+
+function chooseLevel(level) {
+    closeLevelSelect();
+    setLevel(level);
 }
 
 // ============================================================================
 // GAME LOOP
 // ============================================================================
 
+let physicsAccumulator = 0; // Unsimulated time carried over between frames
+
 function gameLoop(timestamp) {
     // Calculate delta time in seconds
     const dt = gameState.lastTime ? (timestamp - gameState.lastTime) / 1000 : 0;
@@ -1682,15 +2574,51 @@ function gameLoop(timestamp) {
     // Cap delta time to prevent huge jumps
     const cappedDt = Math.min(dt, 0.1);
 
-    // Update
-    if (!gameState.gameOver && !gameState.gameWon) {
-        updateProjectile(cappedDt);
+    // Update in fixed steps so a shot plays out the same at any frame rate
+    if (!paused && !gameState.gameOver && !gameState.gameWon) {
+        if (replayState) {
+            updateReplay(cappedDt);
+        }
+        if (!replayState) {
+            gameState.playTime += cappedDt;
+        }
+        if (!replayState || replayState.playing || replayState.stepping) {
+            physicsAccumulator += cappedDt;
+            while (physicsAccumulator >= PHYSICS_STEP) {
+                const bounces = gameState.projectile ? gameState.projectile.bounceCount : 0;
+                const result = updateProjectile(gameConfig, gameState, PHYSICS_STEP);
+                if (gameState.projectile && gameState.projectile.bounceCount > bounces) {
+                    playSound('bounce');
+                }
+                if (result) {
+                    startPlacementAnimations(result);
+                    playPlacementSounds(result);
+                    saveGame();
+                }
+                physicsAccumulator -= PHYSICS_STEP;
+            }
+        }
+    }
+
+    pollGamepad();
+
+    // Effects keep playing after the game ends so the last pop finishes
+    if (!paused) {
+        updateAnimations(cappedDt);
     }
 
     // Check if we need to show name entry modal
     if ((gameState.gameOver || gameState.gameWon) && !gameState.scoreSubmitted) {
         gameState.scoreSubmitted = true; // Prevent multiple popups
-        setTimeout(() => showNameEntry(gameState.gameWon), 500); // Slight delay for effect
+        playGameEndSound(gameState.gameWon);
+        if (replayState) {
+            finishReplay();
+        } else {
+            clearSavedGame();
+            gameState.replay = recordReplay();
+            const stageStars = finishCampaignStage();
+            setTimeout(() => showNameEntry(gameState.gameWon, stageStars), 500); // Slight delay for effect
+        }
     }
 
     // Render
@@ -1704,68 +2632,452 @@ function gameLoop(timestamp) {
 // LEADERBOARD
 // ============================================================================
 
-const LEADERBOARD_KEY = 'vmkBubbleLeaderboard';
+// Boards by id: { [id]: { level, mode, seed, day, version, entries } }. Scores only compete
+// with games on the same level, and daily / shared-seed games each get a board of their own.
+// Custom levels can be edited, so their boards are also split by the version of the level's
+// settings (getConfigVersion); built-in levels have one version, as shipped.
+const LEADERBOARDS_KEY = 'vmkBubbleLeaderboards';
+const OLD_LEADERBOARD_KEY = 'vmkBubbleLeaderboard'; // Single list from before per-level boards
+const LEGACY_BOARD = 'legacy'; // Old entries whose level is unknown
 const MAX_LEADERBOARD_ENTRIES = 10;
+const BOARD_MODE_ORDER = { normal: 0, daily: 1, seeded: 2 };
+const LEADERBOARD_QUEUE_KEY = 'vmkBubbleLeaderboardQueue'; // Scores waiting for the server
+const LEADERBOARD_TIMEOUT = 5000; // ms before the server counts as unreachable
+
+// Board shown in the leaderboard modal: { level, mode, boardId, entries }
+// (boardId null = the level's most recently played board)
+let leaderboardView = null;
+let leaderboardUpload = null; // Queue upload in progress (a Promise)
+
+function getBoardId(level, mode, seed, version = null) {
+    const base = version ? `${level}@${version}` : String(level);
+    return mode === 'normal' ? base : `${base}:${mode}:${seed}`;
+}
+
+// A daily board is labelled with the day its seed belongs to (the entry's day)
+function createBoard(level, mode, seed, day = null, version = null) {
+    return {
+        level,
+        mode,
+        seed: mode === 'normal' ? null : seed,
+        day: mode === 'daily' ? day : null,
+        version,
+        entries: []
+    };
+}
+
+// Board version for a game on this level with this config (null for built-in levels)
+function getBoardVersion(level, config) {
+    return BUILT_IN_LEVELS[level] ? null : getConfigVersion(config);
+}
+
+// The server scores levels 1-3 as shipped, so games on a built-in level changed on the
+// admin page can't be verified there and stay in this browser
+function canUploadScore(entry) {
+    const shipped = BUILT_IN_LEVELS[entry.level];
+    if (!shipped) return true;
+    return Boolean(entry.replay) &&
+        getConfigVersion(createReplayConfig(entry.replay)) === getConfigVersion(createGameConfig(shipped));
+}
+
+/**
+ * Load all boards, moving the old shared list into per-level boards the first time
+ */
+function loadLeaderboards() {
+    const data = localStorage.getItem(LEADERBOARDS_KEY);
+    if (data) return JSON.parse(data);
+
+    const boards = {};
+    const old = JSON.parse(localStorage.getItem(OLD_LEADERBOARD_KEY) || '[]');
+    for (const entry of old) {
+        const level = entry.replay ? entry.replay.level : LEGACY_BOARD;
+        const id = String(level);
+        if (!boards[id]) boards[id] = createBoard(level, 'normal');
+        boards[id].entries.push(entry);
+    }
+    saveLeaderboards(boards);
+    localStorage.removeItem(OLD_LEADERBOARD_KEY);
+    return boards;
+}
+
+function saveLeaderboards(boards) {
+    localStorage.setItem(LEADERBOARDS_KEY, JSON.stringify(boards));
+}
+
+/**
+ * Leaderboard providers share one interface:
+ *   loadBoards(level) -> Promise of { [boardId]: board } for that level
+ *   submit(entry)     -> Promise of the board the entry landed on
+ * Scores are always kept in this browser; with a server configured on the admin page
+ * they are also queued for upload, so nothing is lost while it is unreachable.
+ */
+const localLeaderboard = {
+    async loadBoards(level) {
+        const found = {};
+        for (const [id, board] of Object.entries(loadLeaderboards())) {
+            if (board.level === level) found[id] = board;
+        }
+        return found;
+    },
+
+    async submit(entry) {
+        const boards = loadLeaderboards();
+        const id = getBoardId(entry.level, entry.mode, entry.seed, entry.version);
+        const board = boards[id] || createBoard(entry.level, entry.mode, entry.seed, entry.day, entry.version);
+
+        board.entries.push(entry);
+        // Sort by score descending
+        board.entries.sort((a, b) => b.score - a.score);
+        // Keep only top entries
+        board.entries = board.entries.slice(0, MAX_LEADERBOARD_ENTRIES);
+
+        boards[id] = board;
+        saveLeaderboards(boards);
+        return board;
+    }
+};
+
+/**
+ * Provider for a leaderboard server (reference implementation: server/leaderboard-server.js).
+ * Failed requests reject with an Error carrying the HTTP status, if there was one.
+ */
+function createHttpLeaderboard(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function request(path, options = {}) {
+        const response = await fetch(root + path, Object.assign({ signal: AbortSignal.timeout(LEADERBOARD_TIMEOUT) }, options));
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw Object.assign(new Error(body.error || `Leaderboard server returned ${response.status}`), { status: response.status });
+        }
+        return body;
+    }
+
+    return {
+        async loadBoards(level) {
+            return (await request(`/api/boards?level=${encodeURIComponent(level)}`)).boards;
+        },
 
-function loadLeaderboard() {
-    const data = localStorage.getItem(LEADERBOARD_KEY);
+        async submit(entry) {
+            return (await request('/api/entries', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(entry)
+            })).board;
+        }
+    };
+}
+
+// Server provider from the admin settings, or null when scores stay in this browser
+function getRemoteLeaderboard() {
+    const url = getLeaderboardUrl();
+    return url ? createHttpLeaderboard(url) : null;
+}
+
+function loadLeaderboardQueue() {
+    const data = localStorage.getItem(LEADERBOARD_QUEUE_KEY);
     return data ? JSON.parse(data) : [];
 }
 
-function saveLeaderboard(leaderboard) {
-    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboard));
+function saveLeaderboardQueue(queue) {
+    localStorage.setItem(LEADERBOARD_QUEUE_KEY, JSON.stringify(queue));
+}
+
+/**
+ * Queued scores keep only their replay's date; the replay itself is found again at upload
+ * time in the saved replays or the local boards, so localStorage holds no extra copy.
+ * recordReplay() keeps the replays of queued scores past MAX_SAVED_REPLAYS for this.
+ */
+function findStoredReplay(date) {
+    const saved = loadReplays().find(replay => replay.date === date);
+    if (saved) return saved;
+    for (const board of Object.values(loadLeaderboards())) {
+        const entry = board.entries.find(candidate => candidate.replay && candidate.replay.date === date);
+        if (entry) return entry.replay;
+    }
+    return null;
+}
+
+/**
+ * Upload queued scores oldest first, stopping at the first one that can't be sent.
+ * Scores the server rejects outright are dropped so they don't block the rest; scores
+ * whose replay can't be found are kept (the server would only turn them away) and skipped.
+ */
+function flushLeaderboardQueue(remote) {
+    if (!leaderboardUpload) {
+        leaderboardUpload = (async () => {
+            try {
+                let index = 0;
+                while (index < loadLeaderboardQueue().length) {
+                    const queued = loadLeaderboardQueue()[index];
+                    const replay = queued.replay || findStoredReplay(queued.replayDate);
+                    if (!replay) {
+                        console.warn('Replay of a queued score is missing, keeping the score for later');
+                        index++;
+                        continue;
+                    }
+                    try {
+                        await remote.submit(Object.assign({}, queued, { replay }));
+                    } catch (error) {
+                        if (error.status !== 400 && error.status !== 413) throw error;
+                        console.warn('Leaderboard server rejected a score:', error.message);
+                    }
+                    // New scores are only ever appended, so this one is still at index
+                    const queue = loadLeaderboardQueue();
+                    queue.splice(index, 1);
+                    saveLeaderboardQueue(queue);
+                }
+            } finally {
+                leaderboardUpload = null;
+            }
+        })();
+    }
+    return leaderboardUpload;
+}
+
+// Try the upload queue again (new score, page load, back online)
+function retryLeaderboardQueue() {
+    const remote = getRemoteLeaderboard();
+    if (remote && loadLeaderboardQueue().length > 0) {
+        flushLeaderboardQueue(remote).catch(error => {
+            console.warn('Leaderboard server unreachable, scores stay queued:', error.message);
+        });
+    }
+}
+
+/**
+ * Add a finished game to its board
+ * ({ name, score, won, shots, duration, level, mode, seed, day, version, date, replay })
+ */
+async function addToLeaderboard(entry) {
+    const board = await localLeaderboard.submit(entry);
+    if (getLeaderboardUrl() && !canUploadScore(entry)) {
+        console.warn(`Level ${entry.level} has admin changes, so this score is only kept in this browser`);
+    } else if (getLeaderboardUrl()) {
+        const queued = Object.assign({}, entry, { replay: null, replayDate: entry.replay ? entry.replay.date : null });
+        saveLeaderboardQueue(loadLeaderboardQueue().concat([queued]));
+        retryLeaderboardQueue();
+    }
+    return board;
 }
 
-function addToLeaderboard(name, score) {
-    const leaderboard = loadLeaderboard();
-    leaderboard.push({ name, score, date: Date.now() });
-    // Sort by score descending
-    leaderboard.sort((a, b) => b.score - a.score);
-    // Keep only top entries
-    const trimmed = leaderboard.slice(0, MAX_LEADERBOARD_ENTRIES);
-    saveLeaderboard(trimmed);
-    return trimmed;
+/**
+ * Boards for one level, from the server when there is one and it answers.
+ * Returns { boards, source } with source 'local', 'remote' or 'offline'.
+ */
+async function loadLevelBoards(level) {
+    const remote = getRemoteLeaderboard();
+    if (remote && level !== LEGACY_BOARD) {
+        try {
+            await flushLeaderboardQueue(remote);
+            return { boards: await remote.loadBoards(level), source: 'remote' };
+        } catch (error) {
+            console.warn('Leaderboard server unreachable, showing local scores:', error.message);
+            return { boards: await localLeaderboard.loadBoards(level), source: 'offline' };
+        }
+    }
+    return { boards: await localLeaderboard.loadBoards(level), source: 'local' };
 }
 
 function openLeaderboard() {
-    const leaderboard = loadLeaderboard();
+    // Start on the board the current game would be scored on
+    const version = getBoardVersion(currentLevel, gameConfig);
+    leaderboardView = {
+        level: currentLevel,
+        mode: gameMode,
+        boardId: getBoardId(currentLevel, gameMode, gameState.seed, version)
+    };
+    renderLeaderboard();
+    document.getElementById('leaderboardModal').classList.add('active');
+}
+
+function selectLeaderboardLevel(value) {
+    const level = /^\d+$/.test(value) ? Number(value) : value;
+    // Custom levels only know their current version while being played
+    const version = level === currentLevel ? getBoardVersion(level, gameConfig) : null;
+    const boardId = level === currentLevel || BUILT_IN_LEVELS[level] || level === LEGACY_BOARD
+        ? getBoardId(level, 'normal', null, version)
+        : null;
+    leaderboardView = { level, mode: 'normal', boardId };
+    renderLeaderboard();
+}
+
+function selectLeaderboardBoard(boardId) {
+    leaderboardView = { level: leaderboardView.level, mode: null, boardId };
+    renderLeaderboard();
+}
+
+function getBoardLabel(board) {
+    const version = board.version ? ` (version ${board.version})` : '';
+    if (board.mode === 'daily') return `Daily challenge ${board.day}${version}`;
+    if (board.mode === 'seeded') return `Seed ${board.seed}${version}`;
+    return `All games${version}`;
+}
+
+/**
+ * Id of the normal board with the newest entry (the level's own id if none has entries)
+ */
+function getLatestBoardId(level, boards) {
+    let latestId = String(level);
+    let latestDate = -Infinity;
+    for (const [id, board] of Object.entries(boards)) {
+        if (board.mode !== 'normal') continue;
+        for (const entry of board.entries) {
+            if (entry.date > latestDate) {
+                latestId = id;
+                latestDate = entry.date;
+            }
+        }
+    }
+    return latestId;
+}
+
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+async function renderLeaderboard() {
+    const view = leaderboardView;
+    const { level } = view;
     const list = document.getElementById('leaderboardList');
+    const status = document.getElementById('leaderboardStatus');
+
+    list.innerHTML = '<li class="no-scores">Loading...</li>';
+    const { boards, source } = await loadLevelBoards(level);
+    if (view !== leaderboardView) return; // Switched boards while loading
+
+    if (source === 'remote') {
+        status.textContent = `Shared scores from ${getLeaderboardUrl()}`;
+    } else if (source === 'offline') {
+        const queued = loadLeaderboardQueue().length;
+        status.textContent = "Can't reach the leaderboard server, showing scores from this device." +
+            (queued ? ` ${queued} waiting to upload.` : '');
+    } else {
+        status.textContent = '';
+    }
+
+    const levels = [1, 2, 3].concat(customLevels.map(custom => custom.id));
+    if (loadLeaderboards()[LEGACY_BOARD]) levels.push(LEGACY_BOARD);
+    document.getElementById('leaderboardLevelSelect').innerHTML = levels.map(option => `
+        <option value="${option}" ${option === level ? 'selected' : ''}>
+            ${escapeHtml(option === LEGACY_BOARD ? 'Older scores' : getLevelName(option))}
+        </option>
+    `).join('');
+
+    // This level's boards (always including a main one and the one being viewed)
+    const levelBoards = Object.assign({}, boards);
+    const boardId = view.boardId || getLatestBoardId(level, boards);
+    if (!Object.values(levelBoards).some(board => board.mode === 'normal')) {
+        levelBoards[String(level)] = createBoard(level, 'normal');
+    }
+    if (!levelBoards[boardId]) {
+        const version = level === currentLevel ? getBoardVersion(level, gameConfig) : null;
+        levelBoards[boardId] = createBoard(level, view.mode, gameState.seed, dailyDateKey, version);
+    }
+
+    const ids = Object.keys(levelBoards).sort((a, b) =>
+        BOARD_MODE_ORDER[levelBoards[a].mode] - BOARD_MODE_ORDER[levelBoards[b].mode] ||
+        String(levelBoards[b].day).localeCompare(String(levelBoards[a].day)));
+    document.getElementById('leaderboardBoardSelect').innerHTML = ids.map(id => `
+        <option value="${id}" ${id === boardId ? 'selected' : ''}>${getBoardLabel(levelBoards[id])}</option>
+    `).join('');
 
-    if (leaderboard.length === 0) {
+    const entries = levelBoards[boardId].entries;
+    view.entries = entries;
+
+    if (entries.length === 0) {
         list.innerHTML = '<li class="no-scores">No scores yet. Be the first!</li>';
     } else {
-        list.innerHTML = leaderboard.map((entry, index) => `
+        list.innerHTML = entries.map((entry, index) => `
             <li>
                 <span class="rank">#${index + 1}</span>
-                <span class="name">${escapeHtml(entry.name)}</span>
+                <span class="name">
+                    ${escapeHtml(entry.name)}
+                    ${entry.shots !== undefined ? `<span class="entry-details">${entry.won ? 'Won' : 'Lost'} &middot; ${entry.shots} shots &middot; ${formatDuration(entry.duration)}</span>` : ''}
+                </span>
                 <span class="score">${entry.score}</span>
+                ${entry.replay && isCurrentReplay(entry.replay) ? `<button class="watch-btn" onclick="watchLeaderboardReplay(${index})" title="Watch replay">&#9654;</button>` : ''}
             </li>
         `).join('');
     }
-
-    document.getElementById('leaderboardModal').classList.add('active');
 }
 
 function closeLeaderboard() {
     document.getElementById('leaderboardModal').classList.remove('active');
 }
 
-function showNameEntry(isWin) {
-    document.getElementById('gameEndTitle').textContent = isWin ? 'You Win!' : 'Game Over!';
+const SCORE_SOURCE_LABELS = {
+    clusters: 'Clusters',
+    drops: 'Drops',
+    bounces: 'Bounce bonus',
+    combos: 'Combo bonus',
+    bigDrops: 'Big drops'
+};
+
+function showNameEntry(isWin, stageStars = null) {
+    let title = isWin ? 'You Win!' : 'Game Over!';
+    if (!isWin && gameState.outOfShots) title = 'Out of Shots!';
+    document.getElementById('gameEndTitle').textContent = title;
     document.getElementById('finalScoreDisplay').textContent = gameState.score;
+    renderScoreBreakdown();
+    renderCampaignResult(stageStars);
     document.getElementById('playerNameInput').value = '';
+    document.getElementById('scoreSubmitError').textContent = '';
     document.getElementById('nameEntryModal').classList.add('active');
     document.getElementById('playerNameInput').focus();
 }
 
+/**
+ * List where this game's points came from (state.scoreBreakdown)
+ */
+function renderScoreBreakdown() {
+    const list = document.getElementById('scoreBreakdown');
+    const breakdown = gameState.scoreBreakdown;
+
+    list.innerHTML = SCORE_SOURCES.map(source => `
+        <li class="${breakdown[source] === 0 ? 'empty' : ''}">
+            <span>${SCORE_SOURCE_LABELS[source]}</span>
+            <span>${breakdown[source]}</span>
+        </li>
+    `).join('');
+}
+
 function closeNameEntry() {
     document.getElementById('nameEntryModal').classList.remove('active');
 }
 
-function submitScore() {
+async function submitScore() {
     const nameInput = document.getElementById('playerNameInput');
     const name = nameInput.value.trim() || 'Anonymous';
-    addToLeaderboard(name, gameState.score);
+    const button = document.getElementById('submitScoreBtn');
+    const error = document.getElementById('scoreSubmitError');
+    if (button.disabled) return; // Still saving (Enter pressed twice)
+
+    button.disabled = true;
+    error.textContent = '';
+    try {
+        await addToLeaderboard({
+            name,
+            score: gameState.score,
+            won: gameState.gameWon,
+            shots: gameState.shots,
+            duration: Math.round(gameState.playTime),
+            level: currentLevel,
+            mode: gameMode,
+            seed: gameState.seed,
+            day: gameMode === 'daily' ? dailyDateKey : null,
+            version: getBoardVersion(currentLevel, gameConfig),
+            date: Date.now(),
+            replay: gameState.replay
+        });
+    } catch (err) {
+        // Usually localStorage is full; keep the modal open so the player knows
+        console.error('Error saving score:', err);
+        error.textContent = `Couldn't save your score: ${err.message}`;
+        return;
+    } finally {
+        button.disabled = false;
+    }
     closeNameEntry();
     gameState.scoreSubmitted = true;
 }
@@ -1776,6 +3088,316 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// ============================================================================
+// REPLAYS
+// ============================================================================
+
+const REPLAYS_KEY = 'vmkBubbleReplays';
+const MAX_SAVED_REPLAYS = 20;
+const REPLAY_VERSION = 2; // 2: combo and big-drop scoring
+const REPLAY_SHOT_DELAY = 0.6; // Seconds between shots during playback
+
+// Active playback: { replay, shotIndex, playing, stepping, timer }
+let replayState = null;
+
+/**
+ * Snapshot of everything needed to re-simulate the current game: playback and the
+ * leaderboard server both rebuild its config with BubbleCore.createReplayConfig(), so
+ * later admin or Level Creator changes to the level don't change the replay.
+ */
+function buildReplay() {
+    return {
+        v: REPLAY_VERSION,
+        level: currentLevel,
+        seed: gameState.seed,
+        cols: gameConfig.cols,
+        radius: gameConfig.radius,
+        loseRow: gameConfig.loseRow,
+        numColors: gameConfig.numColors,
+        pressureMode: gameConfig.pressureMode,
+        ceilingDropShots: gameConfig.ceilingDropShots,
+        maxSwaps: gameConfig.maxSwaps,
+        layout: gameConfig.layout,
+        specialBubbles: gameConfig.specialBubbles,
+        rules: getRuleValues(gameConfig),
+        objective: gameConfig.objective,
+        shotLimit: gameConfig.shotLimit,
+        targetScore: gameConfig.targetScore,
+        surviveRows: gameConfig.surviveRows,
+        shots: gameState.shotLog.slice(),
+        score: gameState.score,
+        won: gameState.gameWon,
+        date: Date.now()
+    };
+}
+
+/**
+ * A config's value for every level rule (numColors is stored on the replay itself)
+ */
+function getRuleValues(config) {
+    const values = {};
+    for (const name of Object.keys(LEVEL_RULES)) {
+        if (name !== 'numColors') values[name] = config[name];
+    }
+    return values;
+}
+
+// Replays from older versions scored games differently, so they can't be played back
+function isCurrentReplay(replay) {
+    return replay.v === REPLAY_VERSION;
+}
+
+function encodeReplay(replay) {
+    return btoa(JSON.stringify(replay));
+}
+
+/**
+ * Parse a shared replay code. Returns null if it isn't a valid replay.
+ */
+function decodeReplay(code) {
+    try {
+        const replay = JSON.parse(atob(code.trim()));
+        if (!isCurrentReplay(replay) || !Array.isArray(replay.shots) ||
+            typeof replay.seed !== 'number' || replay.level === undefined) {
+            return null;
+        }
+        return replay;
+    } catch (error) {
+        return null;
+    }
+}
+
+function loadReplays() {
+    const data = localStorage.getItem(REPLAYS_KEY);
+    return data ? JSON.parse(data) : [];
+}
+
+function saveReplays(replays) {
+    localStorage.setItem(REPLAYS_KEY, JSON.stringify(replays));
+}
+
+/**
+ * Save the finished game to the recent replays list and return it
+ */
+function recordReplay() {
+    const replay = buildReplay();
+    const replays = loadReplays();
+    replays.unshift(replay);
+    // Replays of scores still waiting for the server stay until they are uploaded
+    const queued = new Set(loadLeaderboardQueue().map(entry => entry.replayDate));
+    saveReplays(replays.filter((saved, index) => index < MAX_SAVED_REPLAYS || queued.has(saved.date)));
+    return replay;
+}
+
+function getLevelName(level) {
+    const theme = getLevelTheme(level);
+    return theme ? theme.name : 'Unknown level';
+}
+
+/**
+ * Start watching a replay: switches to its level and re-seeds the board
+ */
+async function startReplay(replay) {
+    if (!isCurrentReplay(replay)) {
+        alert('This replay was recorded by an older version of the game and can no longer be played back.');
+        return;
+    }
+    if (typeof replay.level === 'string' && !getCustomLevelById(replay.level)) {
+        alert('This replay uses a custom level that is not installed in this browser.');
+        return;
+    }
+
+    closeReplays();
+    closeLeaderboard();
+    closeNameEntry();
+
+    // Switch level without setLevel(), which leaves replay mode
+    currentLevel = replay.level;
+    replayState = { replay, shotIndex: 0, playing: false, stepping: false, timer: 0 };
+    await preloadCustomLevelImages(replay.level);
+    updateLevelButtons(replay.level);
+    initGame();
+    replayState.playing = true;
+
+    if (getConfigVersion(gameConfig) !== getConfigVersion(getLevelConfig())) {
+        console.info('Level settings changed since this replay was recorded; it plays back with the old ones.');
+    }
+
+    document.getElementById('replayControls').classList.add('active');
+    updateReplayControls();
+}
+
+function exitReplayMode() {
+    replayState = null;
+    document.getElementById('replayControls').classList.remove('active');
+}
+
+function stopReplay() {
+    if (!replayState) return;
+    exitReplayMode();
+    initGame();
+}
+
+function restartReplay() {
+    if (!replayState) return;
+    replayState.shotIndex = 0;
+    replayState.playing = true;
+    replayState.stepping = false;
+    replayState.timer = 0;
+    initGame();
+    updateReplayControls();
+}
+
+function toggleReplayPause() {
+    if (!replayState) return;
+    replayState.playing = !replayState.playing;
+    updateReplayControls();
+}
+
+/**
+ * Advance one shot: finish the bubble in flight, or fire the next recorded shot
+ */
+function stepReplay() {
+    if (!replayState || gameState.gameOver || gameState.gameWon) return;
+    replayState.playing = false;
+    if (gameState.projectile || fireReplayShot()) {
+        replayState.stepping = true;
+    }
+    updateReplayControls();
+}
+
+function fireReplayShot() {
+    const shots = replayState.replay.shots;
+
+    // Swaps (even ones made while the previous shot was flying) are applied just before the next shot
+    while (shots[replayState.shotIndex] === SWAP) {
+        swapBubbles(gameConfig, gameState);
+        replayState.shotIndex++;
+    }
+
+    if (replayState.shotIndex >= shots.length) {
+        replayState.playing = false;
+        return false;
+    }
+    gameState.aimAngle = shots[replayState.shotIndex++];
+    if (fireBubble(gameConfig, gameState, gameState.aimAngle)) {
+        playSound('fire');
+    }
+    return true;
+}
+
+/**
+ * Called from the game loop while a replay is active
+ */
+function updateReplay(dt) {
+    if (gameState.projectile) return;
+
+    if (replayState.stepping) {
+        replayState.stepping = false;
+        updateReplayControls();
+        return;
+    }
+    if (!replayState.playing) return;
+
+    replayState.timer += dt;
+    if (replayState.timer >= REPLAY_SHOT_DELAY) {
+        replayState.timer = 0;
+        fireReplayShot();
+        updateReplayControls();
+    }
+}
+
+function finishReplay() {
+    replayState.playing = false;
+    replayState.stepping = false;
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    if (!replayState) return;
+    const { replay, playing } = replayState;
+    document.getElementById('replayPlayBtn').textContent = playing ? 'Pause' : 'Play';
+
+    let status = `Shot ${gameState.shots} / ${countReplayShots(replay)}`;
+    if (gameState.gameOver || gameState.gameWon) {
+        const match = gameState.score === replay.score ? 'matches' : 'DOES NOT match';
+        status += ` | Score ${gameState.score} ${match} recorded ${replay.score}`;
+    }
+    document.getElementById('replayStatus').textContent = status;
+}
+
+/**
+ * Shots in a replay, not counting swaps
+ */
+function countReplayShots(replay) {
+    return replay.shots.filter(entry => entry !== SWAP).length;
+}
+
+function watchLeaderboardReplay(index) {
+    const entry = leaderboardView.entries[index];
+    if (entry && entry.replay) {
+        startReplay(entry.replay);
+    }
+}
+
+function openReplays() {
+    const replays = loadReplays();
+    const list = document.getElementById('replayList');
+
+    if (replays.length === 0) {
+        list.innerHTML = '<li class="no-scores">No replays yet. Finish a game to record one!</li>';
+    } else {
+        list.innerHTML = replays.map((replay, index) => `
+            <li>
+                <span class="name">
+                    ${escapeHtml(getLevelName(replay.level))} &middot; ${new Date(replay.date).toLocaleDateString()}
+                    ${isCurrentReplay(replay) ? '' : '<span class="entry-details">Older version, can\'t be played back</span>'}
+                </span>
+                <span class="score">${replay.score}</span>
+                ${isCurrentReplay(replay) ? `
+                    <button class="watch-btn" onclick="watchSavedReplay(${index})" title="Watch replay">&#9654;</button>
+                    <button class="watch-btn" onclick="copyReplayCode(${index})" title="Copy replay code">&#128203;</button>
+                ` : ''}
+            </li>
+        `).join('');
+    }
+
+    document.getElementById('replayCodeInput').value = '';
+    document.getElementById('replaysModal').classList.add('active');
+}
+
+function closeReplays() {
+    document.getElementById('replaysModal').classList.remove('active');
+}
+
+function watchSavedReplay(index) {
+    const replay = loadReplays()[index];
+    if (replay) {
+        startReplay(replay);
+    }
+}
+
+async function copyReplayCode(index) {
+    const replay = loadReplays()[index];
+    if (!replay) return;
+    const code = encodeReplay(replay);
+    try {
+        await navigator.clipboard.writeText(code);
+        alert('Replay code copied!');
+    } catch (error) {
+        prompt('Copy this replay code:', code);
+    }
+}
+
+function watchReplayCode() {
+    const replay = decodeReplay(document.getElementById('replayCodeInput').value);
+    if (!replay) {
+        alert('That replay code is not valid.');
+        return;
+    }
+    startReplay(replay);
+}
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -1784,16 +3406,28 @@ async function init() {
     // Initialize IndexedDB for custom level images
     await initCustomLevelsDB();
 
-    // Preload curse images for Level 2
-    preloadCurseImages();
+    // Start loading the built-in level artwork
+    Object.values(BUILT_IN_THEMES).forEach(preloadTheme);
 
     // Load custom levels
     loadCustomLevels();
     renderCustomLevelButtons();
 
+    // Audio starts on the first user input (autoplay rules)
+    applyAudioSettings();
+    document.addEventListener('pointerdown', unlockAudio);
+    document.addEventListener('keydown', unlockAudio);
+    document.getElementById('muteBtn').addEventListener('click', toggleMute);
+    document.getElementById('volumeSlider').addEventListener('input', (e) => setVolume(parseInt(e.target.value)));
+
     // Set up event listeners
     canvas.addEventListener('mousemove', handleMouseMove);
     canvas.addEventListener('click', handleClick);
+    canvas.addEventListener('contextmenu', handleContextMenu);
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerCancel);
     document.addEventListener('keydown', handleKeyDown);
 
     // Level toggle buttons
@@ -1804,6 +3438,48 @@ async function init() {
     // Leaderboard button
     document.getElementById('leaderboardBtn').addEventListener('click', openLeaderboard);
 
+    // Pause menu: also pause whenever the tab is hidden, and save before the page goes away
+    document.getElementById('pauseBtn').addEventListener('click', () => pauseGame());
+    document.getElementById('levelsBtn').addEventListener('click', openLevelSelect);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('pagehide', saveGame);
+    document.getElementById('levelSelectModal').addEventListener('click', (e) => {
+        if (e.target.id === 'levelSelectModal') {
+            closeLevelSelect();
+        }
+    });
+
+    // Upload scores queued while the leaderboard server was unreachable
+    window.addEventListener('online', retryLeaderboardQueue);
+    retryLeaderboardQueue();
+
+    // Key / gamepad bindings
+    document.getElementById('controlsBtn').addEventListener('click', openControls);
+    document.getElementById('controlsModal').addEventListener('click', (e) => {
+        if (e.target.id === 'controlsModal') {
+            closeControls();
+        }
+    });
+
+    // Daily challenge and seed sharing
+    document.getElementById('dailyBtn').addEventListener('click', toggleDailyChallenge);
+    document.getElementById('shareSeedBtn').addEventListener('click', shareSeed);
+
+    // Replays
+    document.getElementById('replaysBtn').addEventListener('click', openReplays);
+    document.getElementById('watchReplayCodeBtn').addEventListener('click', watchReplayCode);
+    document.getElementById('replayPlayBtn').addEventListener('click', toggleReplayPause);
+    document.getElementById('replayStepBtn').addEventListener('click', stepReplay);
+    document.getElementById('replayRestartBtn').addEventListener('click', restartReplay);
+    document.getElementById('replayExitBtn').addEventListener('click', stopReplay);
+    document.getElementById('replaysModal').addEventListener('click', (e) => {
+        if (e.target.id === 'replaysModal') {
+            closeReplays();
+        }
+    });
+
     // Name entry modal buttons
     document.getElementById('submitScoreBtn').addEventListener('click', submitScore);
     document.getElementById('skipScoreBtn').addEventListener('click', () => {
@@ -1825,6 +3501,13 @@ async function init() {
         }
     });
 
+    // Shared board link (?seed= / ?level=)
+    const urlLevel = applyUrlParams();
+    if (urlLevel !== null) {
+        await preloadCustomLevelImages(urlLevel);
+        currentLevel = urlLevel;
+    }
+
     // Check if we should start with a custom level (from Level Creator "Save & Play")
     const playCustomLevel = sessionStorage.getItem('playCustomLevel');
     if (playCustomLevel) {
@@ -1833,8 +3516,24 @@ async function init() {
         currentLevel = playCustomLevel;
     }
 
+    // Otherwise pick up an unfinished game from last time
+    const savedGame = urlLevel === null && !playCustomLevel ? loadSavedGame() : null;
+    if (savedGame) {
+        await preloadCustomLevelImages(savedGame.level);
+        currentLevel = savedGame.level;
+        gameMode = savedGame.mode;
+        // Yesterday's daily board is no longer the daily challenge, but its seed can still be played
+        if (gameMode === 'daily' && savedGame.day !== getDateKey()) gameMode = 'seeded';
+        if (gameMode === 'seeded') sharedSeed = savedGame.state.seed;
+        document.getElementById('dailyBtn').classList.toggle('active', gameMode === 'daily');
+    }
+    updateLevelButtons(currentLevel);
+
     // Initialize game state
     initGame();
+    if (savedGame) {
+        resumeSavedGame(savedGame);
+    }
 
     // Start game loop
     requestAnimationFrame(gameLoop);
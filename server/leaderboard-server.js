@@ -0,0 +1,269 @@
+/**
+ * Reference leaderboard server for the bubble shooter.
+ *
+ * Keeps every board in one JSON file and speaks the API the game's HTTP
+ * leaderboard provider uses (see LEADERBOARD in game.js):
+ *
+ *   GET  /api/boards?level=<level>  -> { boards: { [boardId]: board } }
+ *   POST /api/entries               -> { boardId, board }   (body: one leaderboard entry)
+ *
+ * Every entry's replay is re-simulated with the game core (game-core.js), and entries
+ * whose score, shot count or result don't match it are rejected. Levels 1-3 are always
+ * played as shipped (BUILT_IN_LEVELS), so scores from a built-in level changed on the
+ * admin page are rejected. Custom levels are played with the settings in the replay,
+ * and each version of those settings gets boards of its own.
+ *
+ * No dependencies. Start it with `node server/leaderboard-server.js`, then enter its
+ * address as the Leaderboard Server on the admin page. PORT (default 8787) and
+ * DATA_FILE (default server/leaderboard-data.json) change where it listens and saves.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+    BUILT_IN_LEVELS,
+    createGameConfig,
+    createReplayConfig,
+    getConfigVersion,
+    validateLevelSettings,
+    LEVEL_RULES,
+    runShots,
+    SWAP
+} = require('../game-core.js');
+
+const MAX_LEADERBOARD_ENTRIES = 10;
+const MAX_BODY_BYTES = 1024 * 1024; // Entries carry their replay
+const MAX_NAME_LENGTH = 30;
+const BOARD_MODES = ['normal', 'daily', 'seeded'];
+const REPLAY_VERSION = 2; // Matches game.js REPLAY_VERSION
+const MAX_REPLAY_COLS = 30; // Widest grid the admin page allows
+
+// ============================================================================
+// BOARDS
+// ============================================================================
+
+// Same ids as the game: one board per level, plus one per daily / shared seed.
+// Custom level boards also carry the version of the level's settings (getConfigVersion).
+function getBoardId(level, mode, seed, version = null) {
+    const base = version ? `${level}@${version}` : String(level);
+    return mode === 'normal' ? base : `${base}:${mode}:${seed}`;
+}
+
+// A daily board is labelled with the day its seed belongs to, which the entry carries
+// (entries from older games without one get today)
+function createBoard(level, mode, seed, day = new Date().toISOString().slice(0, 10), version = null) {
+    return {
+        level,
+        mode,
+        seed: mode === 'normal' ? null : seed,
+        day: mode === 'daily' ? day : null,
+        version,
+        entries: []
+    };
+}
+
+// The config a replay is scored with: levels 1-3 as shipped, whatever the replay says
+function getReplayConfig(replay) {
+    const builtIn = BUILT_IN_LEVELS[replay.level];
+    return builtIn ? createGameConfig(builtIn) : createReplayConfig(replay);
+}
+
+// Version of a custom level's settings for its board id (null for built-in levels)
+function getEntryVersion(entry) {
+    return BUILT_IN_LEVELS[entry.level] ? null : getConfigVersion(getReplayConfig(entry.replay));
+}
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a submitted entry. Returns an error message, or null if it can be stored.
+ */
+function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'entry must be an object';
+    if (typeof entry.name !== 'string' || !entry.name.trim()) return 'name is required';
+    if (!isCount(entry.score)) return 'score must be a whole number';
+    if (!isCount(entry.shots)) return 'shots must be a whole number';
+    if (typeof entry.duration !== 'number' || !(entry.duration >= 0)) return 'duration must be a number of seconds';
+    if (typeof entry.won !== 'boolean') return 'won must be true or false';
+    if (!BOARD_MODES.includes(entry.mode)) return 'unknown mode';
+    if (!isCount(entry.seed) || entry.seed > 0xffffffff) return 'seed must be a 32-bit number';
+    if (entry.day !== undefined && entry.day !== null && !(typeof entry.day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(entry.day))) {
+        return 'day must be a YYYY-MM-DD date';
+    }
+
+    const builtIn = Number.isInteger(entry.level) && entry.level >= 1 && entry.level <= 3;
+    const custom = typeof entry.level === 'string' && /^custom_\w+$/.test(entry.level);
+    if (!builtIn && !custom) return 'unknown level';
+
+    return validateReplay(entry);
+}
+
+/**
+ * Re-simulate the entry's replay and check it ends with the submitted score, shots and
+ * result. Returns an error message, or null if the replay backs the entry up.
+ */
+function validateReplay(entry) {
+    const replay = entry.replay;
+    if (!replay || typeof replay !== 'object') return 'replay is required';
+    if (replay.v !== REPLAY_VERSION) return 'unsupported replay version';
+    if (replay.level !== entry.level || replay.seed !== entry.seed) return 'replay is for a different game';
+    if (!Array.isArray(replay.shots) || !replay.shots.every(shot => shot === SWAP || Number.isFinite(shot))) {
+        return 'replay shots are invalid';
+    }
+
+    if (!BUILT_IN_LEVELS[replay.level]) {
+        // Keep the simulation small: the grid is always 16 rows, so only the width can grow
+        const sizes = [['cols', MAX_REPLAY_COLS], ['loseRow', 16], ['numColors', 10]];
+        if (!sizes.every(([key, max]) => Number.isInteger(replay[key]) && replay[key] >= 1 && replay[key] <= max) ||
+            !(replay.radius > 0 && replay.radius <= 100)) {
+            return 'replay grid settings are invalid';
+        }
+        // Checked before the game is built from them, so a malformed replay is a 400, not a crash.
+        // Layouts may use more colors than are in play (those cells start empty).
+        const settingsError = validateLevelSettings(replay, LEVEL_RULES.numColors.max);
+        if (settingsError) return `replay settings are invalid: ${settingsError}`;
+    }
+
+    const state = runShots(getReplayConfig(replay), replay.seed, replay.shots);
+    if (!state.gameOver && !state.gameWon) return 'replay does not finish the game';
+    if (state.score !== entry.score || state.shots !== entry.shots || state.gameWon !== entry.won) {
+        return 'replay does not match the submitted score';
+    }
+    return null;
+}
+
+/**
+ * Add an entry to its board. Returns the board id.
+ */
+function addEntry(boards, entry) {
+    const version = getEntryVersion(entry);
+    const id = getBoardId(entry.level, entry.mode, entry.seed, version);
+    const board = boards[id] || createBoard(entry.level, entry.mode, entry.seed, entry.day || undefined, version);
+
+    board.entries.push({
+        name: entry.name.trim().slice(0, MAX_NAME_LENGTH),
+        score: entry.score,
+        won: entry.won,
+        shots: entry.shots,
+        duration: Math.round(entry.duration),
+        level: entry.level,
+        mode: entry.mode,
+        seed: entry.seed,
+        date: Date.now(),
+        replay: entry.replay
+    });
+    board.entries.sort((a, b) => b.score - a.score);
+    board.entries = board.entries.slice(0, MAX_LEADERBOARD_ENTRIES);
+
+    boards[id] = board;
+    return id;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function loadBoards(dataFile) {
+    try {
+        return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+// Write to a temp file first so a crash mid-write can't corrupt the boards
+function saveBoards(dataFile, boards) {
+    const temp = dataFile + '.tmp';
+    fs.writeFileSync(temp, JSON.stringify(boards));
+    fs.renameSync(temp, dataFile);
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('entry is too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the HTTP server (not yet listening). Boards are read from dataFile once
+ * and written back after every accepted entry.
+ */
+function createLeaderboardServer({ dataFile }) {
+    const boards = loadBoards(dataFile);
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                sendJson(res, 204, {});
+            } else if (req.method === 'GET' && url.pathname === '/api/boards') {
+                const level = url.searchParams.get('level');
+                const found = {};
+                for (const [id, board] of Object.entries(boards)) {
+                    if (level === null || String(board.level) === level) found[id] = board;
+                }
+                sendJson(res, 200, { boards: found });
+            } else if (req.method === 'POST' && url.pathname === '/api/entries') {
+                const entry = await readJsonBody(req);
+                const error = validateEntry(entry);
+                if (error) {
+                    sendJson(res, 400, { error });
+                    return;
+                }
+                const boardId = addEntry(boards, entry);
+                saveBoards(dataFile, boards);
+                sendJson(res, 200, { boardId, board: boards[boardId] });
+            } else {
+                sendJson(res, 404, { error: 'not found' });
+            }
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'server error' });
+            if (!error.status) console.error(error);
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const dataFile = process.env.DATA_FILE || path.join(__dirname, 'leaderboard-data.json');
+    createLeaderboardServer({ dataFile }).listen(port, () => {
+        console.log(`Leaderboard server listening on http://localhost:${port} (data: ${dataFile})`);
+    });
+}
+
+module.exports = { createLeaderboardServer, getBoardId, validateEntry, validateReplay, addEntry };
@@ -0,0 +1,58 @@
+/**
+ * Campaign stage ratings, best-result progress and unlocking (rateStage, recordStageResult, isStageUnlocked)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore } = require('./fixtures');
+
+const { rateStage, recordStageResult, isStageUnlocked } = BubbleCore;
+
+const campaign = {
+    id: 'test',
+    name: 'Test',
+    stages: [
+        { level: 3, stars: { by: 'score', thresholds: [1000, 2000] } },
+        { level: 1, stars: { by: 'shots', thresholds: [30, 20] } },
+        { level: 2, stars: { by: 'score', thresholds: [500, 900] } }
+    ]
+};
+
+test('a win earns one star plus one per threshold met', () => {
+    const [byScore, byShots] = campaign.stages;
+
+    assert.equal(rateStage(byScore, { won: true, score: 999, shots: 50 }), 1);
+    assert.equal(rateStage(byScore, { won: true, score: 1000, shots: 50 }), 2);
+    assert.equal(rateStage(byScore, { won: true, score: 2500, shots: 50 }), 3);
+
+    assert.equal(rateStage(byShots, { won: true, score: 0, shots: 31 }), 1);
+    assert.equal(rateStage(byShots, { won: true, score: 0, shots: 30 }), 2);
+    assert.equal(rateStage(byShots, { won: true, score: 0, shots: 12 }), 3);
+});
+
+test('a loss earns no stars however good the score', () => {
+    assert.equal(rateStage(campaign.stages[0], { won: false, score: 5000, shots: 5 }), 0);
+});
+
+test('progress keeps the best stars, score and shots across attempts', () => {
+    const progress = {};
+
+    assert.equal(recordStageResult(campaign, progress, 1, { won: true, score: 800, shots: 25 }), 2);
+    assert.equal(recordStageResult(campaign, progress, 1, { won: true, score: 1200, shots: 35 }), 1);
+    assert.equal(recordStageResult(campaign, progress, 1, { won: false, score: 9000, shots: 3 }), 0);
+
+    assert.deepEqual(progress, { 1: { stars: 2, bestScore: 1200, bestShots: 25 } });
+});
+
+test('stages unlock one at a time as the previous one is won', () => {
+    const progress = {};
+    assert.equal(isStageUnlocked(progress, 0), true);
+    assert.equal(isStageUnlocked(progress, 1), false);
+
+    recordStageResult(campaign, progress, 0, { won: false, score: 100, shots: 40 });
+    assert.equal(isStageUnlocked(progress, 1), false);
+
+    recordStageResult(campaign, progress, 0, { won: true, score: 100, shots: 40 });
+    assert.equal(isStageUnlocked(progress, 1), true);
+    assert.equal(isStageUnlocked(progress, 2), false);
+});
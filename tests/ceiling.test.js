@@ -0,0 +1,88 @@
+/**
+ * Descending-ceiling pressure mode: ceiling drops, offset geometry and the lose check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board, dump } = require('./fixtures');
+
+const { gridToWorld, worldToGrid, getRowHeight, placeBubble, checkGameOver, simulateShot } = BubbleCore;
+
+const config = levelConfig(BUILT_IN_LEVELS[0], { pressureMode: 'ceiling', ceilingDropShots: 3 });
+
+test('the ceiling lowers every ceilingDropShots shots without adding bubbles', () => {
+    const state = board(config, ['0 1 0 1 0 1 0 1 0 1']);
+
+    assert.equal(placeBubble(config, state, 1, 0, 2).ceilingDrop, false);
+    assert.equal(placeBubble(config, state, 1, 2, 3).ceilingDrop, false);
+    const result = placeBubble(config, state, 1, 4, 2);
+
+    assert.equal(result.ceilingDrop, true);
+    assert.equal(result.newRow, false);
+    assert.equal(state.ceilingDrops, 1);
+    assert.equal(state.shotsSinceCeilingDrop, 0);
+    assert.deepEqual(dump(config, state), [
+        '0 1 0 1 0 1 0 1 0 1',
+        '2 . 3 . 2 . . . . .'
+    ]);
+});
+
+test('pops count toward the ceiling too', () => {
+    const state = board(config, ['2 2 . . . . . . . 5']);
+    state.shotsSinceCeilingDrop = config.ceilingDropShots - 1;
+
+    const result = placeBubble(config, state, 0, 2, 2);
+
+    assert.equal(result.popped.length, 3);
+    assert.equal(result.ceilingDrop, true);
+});
+
+test('grid geometry follows the lowered ceiling', () => {
+    const state = board(config, []);
+    state.ceilingDrops = 2;
+
+    const pos = gridToWorld(config, 0, 3, state);
+    assert.equal(pos.y, config.radius + 2 * getRowHeight(config));
+    assert.deepEqual(worldToGrid(config, pos.x, pos.y, state), { row: 0, col: 3 });
+    assert.deepEqual(gridToWorld(config, 0, 3), { x: pos.x, y: config.radius });
+});
+
+test('shots stop at the lowered ceiling and at bubbles hanging from it', () => {
+    const state = board(config, []);
+    state.ceilingDrops = 2;
+    const top = simulateShot(config, state, Math.PI / 2);
+    assert.equal(top.row, 0);
+    assert.equal(top.col, worldToGrid(config, config.shooterX, 0).col);
+
+    const hanging = board(config, ['. . . . . 0 . . . .']);
+    hanging.ceilingDrops = 2;
+    hanging.currentBubble = 3;
+    const result = simulateShot(config, hanging, Math.PI / 2);
+    assert.deepEqual({ row: result.row, col: result.col }, { row: 1, col: 4 });
+});
+
+test('each drop brings the lose row one grid row closer', () => {
+    const state = board(config, ['0']);
+    state.ceilingDrops = 2;
+
+    state.grid[config.loseRow - 3][0] = 1;
+    checkGameOver(config, state);
+    assert.equal(state.gameOver, false);
+
+    state.grid[config.loseRow - 2][0] = 1;
+    checkGameOver(config, state);
+    assert.equal(state.gameOver, true);
+});
+
+test('predictTrajectory matches the shot with a lowered ceiling', () => {
+    const level3 = levelConfig(BUILT_IN_LEVELS[2], { pressureMode: 'ceiling' });
+    for (let degrees = 15; degrees <= 165; degrees += 10) {
+        const angle = degrees * Math.PI / 180;
+        const state = BubbleCore.createGameState(level3, 9);
+        state.ceilingDrops = 3;
+
+        const predicted = BubbleCore.predictTrajectory(level3, state, angle);
+        const result = simulateShot(level3, state, angle);
+        assert.deepEqual(predicted.target, { row: result.row, col: result.col }, `${degrees}°`);
+    }
+});
@@ -0,0 +1,120 @@
+/**
+ * Cluster popping and floating-bubble removal (findCluster, findConnectedToCeiling,
+ * removeFloatingBubbles, placeBubble scoring)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board, dump, sortCells } = require('./fixtures');
+
+const { findCluster, findConnectedToCeiling, removeFloatingBubbles, placeBubble } = BubbleCore;
+
+const config = levelConfig(BUILT_IN_LEVELS[0]);
+
+test('findCluster follows odd-row offsets', () => {
+    const state = board(config, [
+        '1 0 2 2 2 2 2 2 2 2',
+         '0 2 2 2 2 2 2 2 2 2',
+        '2 0 2 2 2 2 2 2 2 2'
+    ]);
+
+    // (0,1) -> (1,0) -> (2,1) only connect through the odd-row shift
+    assert.deepEqual(sortCells(findCluster(config, state, 0, 1, 0)), [
+        { row: 0, col: 1 }, { row: 1, col: 0 }, { row: 2, col: 1 }
+    ]);
+});
+
+test('findCluster does not cross non-adjacent cells', () => {
+    const state = board(config, [
+        '0 . . . . . . . . .',
+         '. 0 . . . . . . . .'
+    ]);
+
+    // (1,1) on an odd row touches (0,1) and (0,2), not (0,0)
+    assert.equal(findCluster(config, state, 0, 0, 0).length, 1);
+    assert.equal(findCluster(config, state, 1, 1, 0).length, 1);
+});
+
+test('findCluster returns nothing for empty or different-color cells', () => {
+    const state = board(config, ['0 1']);
+    assert.deepEqual(findCluster(config, state, 0, 5, 0), []);
+    assert.deepEqual(findCluster(config, state, 0, 1, 0), []);
+});
+
+test('findConnectedToCeiling walks down from row 0', () => {
+    const state = board(config, [
+        '0 . . . . . . . . 1',
+         '0 . . . . . . . . .',
+        '. 3 . . . . . . 2 .'
+    ]);
+
+    const connected = findConnectedToCeiling(config, state);
+    assert.deepEqual([...connected].sort(), ['0,0', '0,9', '1,0', '2,1']);
+});
+
+test('removeFloatingBubbles clears and returns disconnected bubbles', () => {
+    const state = board(config, [
+        '0 . . . . . . . . .',
+         '0 . . . 4 . . . . .',
+        '. . . . 5 . . . . .'
+    ]);
+
+    const removed = removeFloatingBubbles(config, state);
+    assert.deepEqual(sortCells(removed), [{ row: 1, col: 4 }, { row: 2, col: 4 }]);
+    assert.deepEqual(removed.map(cell => cell.color).sort(), [4, 5]);
+    assert.deepEqual(dump(config, state), [
+        '0 . . . . . . . . .',
+        '0 . . . . . . . . .'
+    ]);
+});
+
+test('placeBubble pops a cluster of three and scores 10 per bubble', () => {
+    const state = board(config, ['1 1 . 2 . . . . . .']);
+
+    const result = placeBubble(config, state, 1, 0, 1);
+
+    assert.equal(result.popped.length, 3);
+    assert.equal(result.points, 30);
+    assert.equal(state.score, 30);
+    assert.equal(state.shotsWithoutPop, 0);
+    assert.deepEqual(dump(config, state), ['. . . 2 . . . . . .']);
+});
+
+test('placeBubble leaves clusters of two alone and counts the miss', () => {
+    const state = board(config, ['1 . . . . . . . . .']);
+
+    const result = placeBubble(config, state, 0, 1, 1);
+
+    assert.equal(result.popped.length, 0);
+    assert.equal(state.score, 0);
+    assert.equal(state.shotsWithoutPop, 1);
+    assert.deepEqual(dump(config, state), ['1 1 . . . . . . . .']);
+});
+
+test('placeBubble drops bubbles hanging from the popped cluster for 20 each', () => {
+    const state = board(config, [
+        '1 1 . . . . . . . 3',
+         '2 . . . . . . . . .',
+        '2 . . . . . . . . .'
+    ]);
+
+    const result = placeBubble(config, state, 0, 2, 1);
+
+    assert.equal(result.popped.length, 3);
+    assert.deepEqual(sortCells(result.dropped), [{ row: 1, col: 0 }, { row: 2, col: 0 }]);
+    assert.equal(state.score, 30 + 40);
+    assert.deepEqual(dump(config, state), ['. . . . . . . . . 3']);
+});
+
+test('placeBubble applies the 25% bounce bonus to pops and drops', () => {
+    const state = board(config, [
+        '1 1 . . . . . . . .',
+         '2 . . . . . . . . .'
+    ]);
+    state.projectile = { bounceCount: 2 };
+
+    placeBubble(config, state, 0, 2, 1);
+
+    // 1.5x multiplier: floor(3 * 10 * 1.5) + floor(1 * 20 * 1.5)
+    assert.equal(state.score, 45 + 30);
+});
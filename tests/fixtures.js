@@ -0,0 +1,76 @@
+/**
+ * Shared fixtures for the game core tests
+ */
+
+const BubbleCore = require('../game-core.js');
+
+// Built-in levels as shipped (admin defaults)
+const BUILT_IN_LEVELS = [
+    { name: 'Level 1 - Cursed', cols: 10, radius: 38, loseRow: 7 },
+    { name: 'Level 2 - Cursed Alt', cols: 16, radius: 24, loseRow: 12 },
+    { name: 'Level 3 - Classic', cols: 24, radius: 16, loseRow: 13 }
+];
+
+// Letters for special bubbles in ASCII boards
+const SPECIAL_LETTERS = { B: 'bomb', R: 'rainbow', S: 'stone', I: 'ice', C: BubbleCore.CRACKED_ICE, T: 'target' };
+
+function levelConfig(level, overrides = {}) {
+    return BubbleCore.createGameConfig(Object.assign({
+        cols: level.cols,
+        radius: level.radius,
+        loseRow: level.loseRow
+    }, overrides));
+}
+
+/**
+ * Build a game state from an ASCII board. Each string is one row, cells are
+ * separated by whitespace: a digit is a color ID, '.' is empty and B, R, S, I, C, T
+ * are bomb, rainbow, stone, ice, cracked ice and target. Leading spaces on odd rows are
+ * only for readability. Missing rows/cells are empty.
+ *
+ *   board(config, [
+ *       '0 0 1 .',
+ *        ' 0 1 . .'
+ *   ]);
+ */
+function board(config, rows, seed = 1) {
+    const state = BubbleCore.createGameState(Object.assign({}, config, { initialRows: 0, layout: null }), seed);
+
+    rows.forEach((line, row) => {
+        line.trim().split(/\s+/).forEach((cell, col) => {
+            if (cell === '.') {
+                state.grid[row][col] = null;
+            } else {
+                state.grid[row][col] = cell in SPECIAL_LETTERS ? SPECIAL_LETTERS[cell] : Number(cell);
+            }
+        });
+    });
+
+    return state;
+}
+
+/**
+ * Render the occupied part of the grid back to the ASCII format used by board()
+ */
+function dump(config, state) {
+    const letters = Object.fromEntries(Object.entries(SPECIAL_LETTERS).map(([letter, type]) => [type, letter]));
+    const lines = [];
+    for (let row = 0; row < config.rows; row++) {
+        lines.push(state.grid[row].map(cell => (cell === null ? '.' : letters[cell] || String(cell))).join(' '));
+    }
+    while (lines.length > 0 && /^[.\s]*$/.test(lines[lines.length - 1])) {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Sort cells so results can be compared regardless of BFS order
+ */
+function sortCells(cells) {
+    return cells
+        .map(cell => ({ row: cell.row, col: cell.col }))
+        .sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+module.exports = { BubbleCore, BUILT_IN_LEVELS, levelConfig, board, dump, sortCells };
@@ -0,0 +1,94 @@
+/**
+ * Game setup (createGameState) and win/lose detection for each built-in level
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board } = require('./fixtures');
+
+const { createGameState, checkGameOver, placeBubble, addNewRow, gridToWorld } = BubbleCore;
+
+test('createGameState gives the same board and queue for the same seed', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const a = createGameState(config, 99);
+    const b = createGameState(config, 99);
+
+    assert.deepEqual(a.grid, b.grid);
+    assert.equal(a.currentBubble, b.currentBubble);
+    assert.equal(a.nextBubble, b.nextBubble);
+    assert.ok(a.grid[config.initialRows - 1].every(color => color !== null));
+    assert.ok(a.grid[config.initialRows].every(color => color === null));
+});
+
+test('createGameState uses a hand-painted layout instead of random rows', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0], {
+        numColors: 3,
+        layout: [
+            [0, null, 1],
+            [null, 2, 7]  // 7 is not a color in play and is skipped
+        ]
+    });
+
+    const state = createGameState(config, 5);
+
+    assert.deepEqual(state.grid[0].slice(0, 3), [0, null, 1]);
+    assert.deepEqual(state.grid[1].slice(0, 3), [null, 2, null]);
+    assert.ok(state.grid[2].every(color => color === null));
+});
+
+for (const level of BUILT_IN_LEVELS) {
+    test(`${level.name}: clearing the board wins`, () => {
+        const config = levelConfig(level);
+        const state = board(config, ['0 0 . . . . . . . .']);
+
+        placeBubble(config, state, 0, 2, 0);
+
+        assert.equal(state.gameWon, true);
+        assert.equal(state.gameOver, false);
+    });
+
+    test(`${level.name}: a bubble just above the lose row is still in play`, () => {
+        const config = levelConfig(level);
+        const state = board(config, ['0']);
+        for (let row = 1; row < config.loseRow; row++) {
+            state.grid[row][0] = row % 2;
+        }
+
+        checkGameOver(config, state);
+
+        assert.equal(state.gameOver, false);
+        assert.equal(state.gameWon, false);
+    });
+
+    test(`${level.name}: a bubble placed in the lose row ends the game`, () => {
+        const config = levelConfig(level);
+        const state = board(config, ['0']);
+
+        placeBubble(config, state, config.loseRow, config.cols - 1, 1);
+
+        assert.equal(state.gameOver, true);
+    });
+
+    test(`${level.name}: a new row pushing bubbles into the lose row ends the game`, () => {
+        const config = levelConfig(level);
+        const state = board(config, []);
+        state.grid[config.loseRow - 1][3] = 1;
+
+        addNewRow(config, state);
+        checkGameOver(config, state);
+
+        assert.equal(state.gameOver, true);
+    });
+}
+
+test('bubbles at or below the lose line end the game even above the lose row', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2], { loseRow: 99, loseLineY: 200 });
+    const state = board(config, ['0']);
+    let row = 0;
+    while (gridToWorld(config, row, 0).y < config.loseLineY) row++;
+    state.grid[row][0] = 1;
+
+    checkGameOver(config, state);
+
+    assert.equal(state.gameOver, true);
+});
@@ -0,0 +1,138 @@
+/**
+ * Odd-r offset math: gridToWorld, worldToGrid, getNeighbors and getOccupiedCellsInBox
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, sortCells } = require('./fixtures');
+
+const { gridToWorld, worldToGrid, getNeighbors, getRowHeight, getOccupiedCellsInBox } = BubbleCore;
+
+test('gridToWorld shifts odd rows right by one radius', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    const r = config.radius;
+
+    assert.deepEqual(gridToWorld(config, 0, 0), { x: r, y: r });
+    assert.deepEqual(gridToWorld(config, 0, 1), { x: 3 * r, y: r });
+    assert.equal(gridToWorld(config, 1, 0).x, 2 * r);
+    assert.equal(gridToWorld(config, 1, 0).y, getRowHeight(config) + r);
+});
+
+for (const level of BUILT_IN_LEVELS) {
+    test(`${level.name}: every cell fits inside the playfield`, () => {
+        const config = levelConfig(level);
+        for (let row = 0; row < config.rows; row++) {
+            const last = gridToWorld(config, row, config.cols - 1);
+            assert.ok(last.x + config.radius <= config.width, `row ${row} last column overflows`);
+        }
+    });
+
+    test(`${level.name}: worldToGrid inverts gridToWorld for every cell`, () => {
+        const config = levelConfig(level);
+        for (let row = 0; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                const pos = gridToWorld(config, row, col);
+                assert.deepEqual(worldToGrid(config, pos.x, pos.y), { row, col });
+            }
+        }
+    });
+
+    test(`${level.name}: neighbors are symmetric and exactly one diameter away`, () => {
+        const config = levelConfig(level);
+        for (let row = 0; row < config.rows; row++) {
+            for (let col = 0; col < config.cols; col++) {
+                const pos = gridToWorld(config, row, col);
+                for (const n of getNeighbors(config, row, col)) {
+                    const nPos = gridToWorld(config, n.row, n.col);
+                    const dist = Math.hypot(nPos.x - pos.x, nPos.y - pos.y);
+                    assert.ok(Math.abs(dist - 2 * config.radius) < 1e-9, `(${row},${col}) -> (${n.row},${n.col})`);
+
+                    const back = getNeighbors(config, n.row, n.col);
+                    assert.ok(back.some(b => b.row === row && b.col === col), `(${n.row},${n.col}) does not list (${row},${col})`);
+                }
+            }
+        }
+    });
+}
+
+test('worldToGrid clamps points outside the grid', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    assert.deepEqual(worldToGrid(config, -50, -50), { row: 0, col: 0 });
+    assert.deepEqual(worldToGrid(config, 5000, 5000), { row: config.rows - 1, col: config.cols - 1 });
+});
+
+test('getNeighbors on an even row interior cell', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    assert.deepEqual(sortCells(getNeighbors(config, 2, 4)), sortCells([
+        { row: 1, col: 3 }, { row: 1, col: 4 },
+        { row: 2, col: 3 }, { row: 2, col: 5 },
+        { row: 3, col: 3 }, { row: 3, col: 4 }
+    ]));
+});
+
+test('getNeighbors on an odd row interior cell', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    assert.deepEqual(sortCells(getNeighbors(config, 3, 4)), sortCells([
+        { row: 2, col: 4 }, { row: 2, col: 5 },
+        { row: 3, col: 3 }, { row: 3, col: 5 },
+        { row: 4, col: 4 }, { row: 4, col: 5 }
+    ]));
+});
+
+test('getNeighbors at the top-left corner', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    assert.deepEqual(sortCells(getNeighbors(config, 0, 0)), [
+        { row: 0, col: 1 }, { row: 1, col: 0 }
+    ]);
+});
+
+test('getNeighbors at the last column of an odd row', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[1]);
+    const last = config.cols - 1;
+    assert.deepEqual(sortCells(getNeighbors(config, 1, last)), [
+        { row: 0, col: last }, { row: 1, col: last - 1 }, { row: 2, col: last }
+    ]);
+});
+
+test('getNeighbors at the last column of an even row', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[1]);
+    const last = config.cols - 1;
+    assert.deepEqual(sortCells(getNeighbors(config, 2, last)), [
+        { row: 1, col: last - 1 }, { row: 1, col: last },
+        { row: 2, col: last - 1 },
+        { row: 3, col: last - 1 }, { row: 3, col: last }
+    ]);
+});
+
+test('getNeighbors stops at the bottom buffer row', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const bottom = config.rows - 1;
+    assert.ok(getNeighbors(config, bottom, 5).every(n => n.row <= bottom));
+});
+
+for (const level of BUILT_IN_LEVELS) {
+    test(`${level.name}: getOccupiedCellsInBox matches a full-grid scan`, () => {
+        const config = levelConfig(level);
+        const state = BubbleCore.createGameState(config, 3);
+        const rng = new BubbleCore.SeededRNG(11);
+
+        for (let i = 0; i < 200; i++) {
+            const x = rng.nextInt(-100, config.width + 100);
+            const y = rng.nextInt(-100, 700);
+            const box = [x, y, x + rng.nextInt(0, 200), y + rng.nextInt(0, 200)];
+
+            const expected = [];
+            for (let row = 0; row < config.rows; row++) {
+                for (let col = 0; col < config.cols; col++) {
+                    const pos = gridToWorld(config, row, col);
+                    if (state.grid[row][col] !== null && pos.x >= box[0] && pos.y >= box[1] && pos.x <= box[2] && pos.y <= box[3]) {
+                        expected.push({ row, col });
+                    }
+                }
+            }
+
+            const found = getOccupiedCellsInBox(config, state, ...box).map(({ row, col }) => ({ row, col }));
+            assert.deepEqual(found, expected, `box ${box.join(',')}`);
+        }
+    });
+}
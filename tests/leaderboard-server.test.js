@@ -0,0 +1,193 @@
+/**
+ * Reference leaderboard server (server/leaderboard-server.js): boards, validation and persistence
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLeaderboardServer, validateEntry, addEntry, getBoardId } = require('../server/leaderboard-server.js');
+const { BubbleCore, BUILT_IN_LEVELS } = require('./fixtures');
+
+/**
+ * Play a game to the end with a fixed pattern of shots and record it the way game.js does.
+ * Custom levels use the level 1 grid unless settings (replay fields) say otherwise.
+ */
+function playGame(level, seed, settings = {}) {
+    const { cols, radius, loseRow } = BUILT_IN_LEVELS[level - 1] || BUILT_IN_LEVELS[0];
+    const replay = Object.assign({ v: 2, level, seed, cols, radius, loseRow, numColors: 6, shots: [] }, settings);
+    const config = BubbleCore.createReplayConfig(replay);
+    const state = BubbleCore.createGameState(config, seed);
+
+    while (!state.gameOver && !state.gameWon && replay.shots.length < 500) {
+        const angle = 0.3 + ((replay.shots.length * 37) % 25) / 10;
+        replay.shots.push(angle);
+        BubbleCore.simulateShot(config, state, angle);
+    }
+    return { level, seed, score: state.score, won: state.gameWon, shots: state.shots, replay };
+}
+
+function entry(overrides = {}, settings = {}) {
+    const game = playGame(overrides.level ?? 1, overrides.seed ?? 1, settings);
+    return Object.assign({ name: 'Tester', duration: 61.4, mode: 'normal' }, game, overrides);
+}
+
+async function withServer(dataFile, run) {
+    const server = createLeaderboardServer({ dataFile });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        await run({
+            get: async (query) => (await fetch(`${base}/api/boards?${query}`)).json(),
+            post: async (body) => {
+                const response = await fetch(`${base}/api/entries`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                return { status: response.status, body: await response.json() };
+            }
+        });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDataFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'boards.json');
+}
+
+test('entries go to per-level, daily and seeded boards, daily ones labelled with their day', async () => {
+    await withServer(tempDataFile(), async ({ get, post }) => {
+        assert.equal((await post(entry())).body.boardId, '1');
+        assert.equal((await post(entry({ mode: 'daily', seed: 7, day: '2026-10-18' }))).body.boardId, '1:daily:7');
+        assert.equal((await post(entry({ level: 3 }))).body.boardId, '3');
+
+        const { boards } = await get('level=1');
+        assert.deepEqual(Object.keys(boards).sort(), ['1', '1:daily:7']);
+        assert.equal(boards['1'].entries[0].duration, 61);
+        assert.equal(boards['1:daily:7'].day, '2026-10-18');
+    });
+});
+
+test('a board keeps only the top ten scores, best first', () => {
+    const boards = {};
+    for (let score = 10; score <= 120; score += 10) {
+        addEntry(boards, entry({ score }));
+    }
+    const board = boards['1'];
+    assert.equal(board.entries.length, 10);
+    assert.equal(board.entries[0].score, 120);
+    assert.equal(board.entries[9].score, 30);
+});
+
+test('invalid entries are rejected', async () => {
+    assert.equal(validateEntry(entry()), null);
+    assert.ok(validateEntry(entry({ score: -5 })));
+    assert.ok(validateEntry(entry({ level: 'other' })));
+    assert.ok(validateEntry(entry({ mode: 'ranked' })));
+    assert.ok(validateEntry(entry({ name: '  ' })));
+    assert.ok(validateEntry(entry({ mode: 'daily', day: 'today' })));
+
+    await withServer(tempDataFile(), async ({ get, post }) => {
+        const response = await post(entry({ score: 'lots' }));
+        assert.equal(response.status, 400);
+        assert.deepEqual((await get('level=1')).boards, {});
+    });
+});
+
+test('entries whose replay does not back them up are rejected', async () => {
+    const played = entry();
+    assert.ok(played.score > 0);
+
+    assert.ok(validateEntry(entry({ replay: null })));
+    assert.ok(validateEntry(entry({ shots: played.shots + 1 })));
+    assert.ok(validateEntry(entry({ won: !played.won })));
+    assert.ok(validateEntry(entry({ seed: 2, replay: played.replay })));
+    assert.ok(validateEntry(entry({ replay: Object.assign({}, played.replay, { shots: played.replay.shots.slice(0, 1) }) })));
+
+    await withServer(tempDataFile(), async ({ get, post }) => {
+        const response = await post(entry({ score: played.score + 1000 }));
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /does not match/);
+        assert.deepEqual((await get('level=1')).boards, {});
+    });
+});
+
+test('built-in levels are scored as shipped, whatever settings the replay carries', () => {
+    // Settings the server ignores: the game itself was played as shipped
+    const shipped = entry();
+    assert.equal(validateEntry(Object.assign({}, shipped, { replay: Object.assign({}, shipped.replay, { numColors: 2, cols: 4 }) })), null);
+
+    // A game really played with fewer colors doesn't add up on the shipped level
+    const changed = entry({}, { numColors: 3 });
+    assert.notEqual(changed.score, shipped.score);
+    assert.match(validateEntry(changed), /does not match/);
+});
+
+test('custom level replays with rules outside LEVEL_RULES are rejected', () => {
+    const custom = { level: 'custom_123' };
+    assert.equal(validateEntry(entry(custom, { rules: { clusterMinSize: 4, bounceBonus: 0.35 } })), null);
+    assert.match(validateEntry(entry(custom, { rules: { clusterMinSize: 9 } })), /settings are invalid/);
+    assert.match(validateEntry(entry(custom, { rules: { bounceBonus: 0.33 } })), /settings are invalid/);
+    assert.match(validateEntry(entry(custom, { rules: { gravity: 2 } })), /settings are invalid/);
+});
+
+test('custom level replays with malformed settings are rejected with a 400', async () => {
+    const played = entry({ level: 'custom_123' });
+    const withReplay = settings => Object.assign({}, played, { replay: Object.assign({}, played.replay, settings) });
+
+    for (const settings of [
+        { layout: [null] },
+        { layout: 'rows' },
+        { layout: [[0, 1], { 0: 1 }] },
+        { layout: [[0, 'gold']] },
+        { specialBubbles: 'bomb' },
+        { specialBubbles: ['bomb', 'lava'] },
+        { rules: 5 },
+        { rules: [] },
+        { pressureMode: 'flood' },
+        { ceilingDropShots: 0 }
+    ]) {
+        assert.match(validateEntry(withReplay(settings)), /settings are invalid/, JSON.stringify(settings));
+    }
+
+    await withServer(tempDataFile(), async ({ post }) => {
+        const response = await post(withReplay({ layout: [null] }));
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /layout row 1/);
+    });
+});
+
+test('each version of a custom level gets its own boards', () => {
+    const boards = {};
+    const first = addEntry(boards, entry({ level: 'custom_123' }));
+    const edited = addEntry(boards, entry({ level: 'custom_123' }, { numColors: 4 }));
+    const daily = addEntry(boards, entry({ level: 'custom_123', mode: 'daily', seed: 7, day: '2026-10-18' }));
+
+    const version = BubbleCore.getConfigVersion(BubbleCore.createReplayConfig(playGame('custom_123', 1).replay));
+    assert.equal(first, getBoardId('custom_123', 'normal', 1, version));
+    assert.notEqual(edited, first);
+    assert.equal(daily, `custom_123@${version}:daily:7`);
+    assert.equal(boards[first].version, version);
+    assert.equal(addEntry(boards, entry()), '1');
+});
+
+test('boards survive a server restart', async () => {
+    const dataFile = tempDataFile();
+    let boardId;
+    await withServer(dataFile, async ({ post }) => {
+        boardId = (await post(entry({ name: 'Saved', level: 'custom_123' }))).body.boardId;
+    });
+    await withServer(dataFile, async ({ get }) => {
+        const { boards } = await get('level=custom_123');
+        assert.match(boardId, /^custom_123@/);
+        assert.equal(boards[boardId].entries[0].name, 'Saved');
+    });
+});
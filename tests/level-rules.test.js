@@ -0,0 +1,62 @@
+/**
+ * Per-level gameplay rules (pickLevelRules) and the config values they drive
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board } = require('./fixtures');
+
+const { pickLevelRules, snapLevelRule, placeBubble, createGameState, fireBubble, LEVEL_RULES } = BubbleCore;
+
+test('pickLevelRules keeps only known, in-range numbers', () => {
+    const picked = pickLevelRules({
+        clusterMinSize: 2,
+        bounceBonus: 0.5,
+        projectileSpeed: 50,       // Below the minimum
+        initialRows: 3.5,          // Not a whole number
+        pointsPerPop: '20',        // Not a number
+        gravity: 3                 // Not a rule
+    });
+
+    assert.deepEqual(picked, { clusterMinSize: 2, bounceBonus: 0.5 });
+    assert.deepEqual(pickLevelRules(null), {});
+});
+
+test('snapLevelRule rounds to the step and clamps to the range', () => {
+    assert.equal(snapLevelRule('clusterMinSize', 2.5), 3);
+    assert.equal(snapLevelRule('clusterMinSize', 40), 6);
+    assert.equal(snapLevelRule('bounceBonus', 0.33), 0.35);
+    assert.equal(snapLevelRule('projectileSpeed', 10), 300);
+    assert.equal(snapLevelRule('pointsPerPop', NaN), null);
+
+    const snapped = snapLevelRule('initialRows', 3.4);
+    assert.deepEqual(pickLevelRules({ initialRows: snapped }), { initialRows: 3 });
+});
+
+test('every rule default is inside its own range', () => {
+    for (const [name, range] of Object.entries(LEVEL_RULES)) {
+        const value = BubbleCore.DEFAULT_CONFIG[name];
+        assert.ok(value >= range.min && value <= range.max, name);
+    }
+});
+
+test('a smaller clusterMinSize pops pairs', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2], pickLevelRules({ clusterMinSize: 2 }));
+    const state = board(config, ['1 . 2 2 2 2 3 3 3 3 4 4 4']);
+
+    const result = placeBubble(config, state, 0, 1, 1);
+
+    assert.equal(result.popped.length, 2);
+});
+
+test('initialRows, numColors and projectileSpeed shape a new game', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2], pickLevelRules({ initialRows: 2, numColors: 2, projectileSpeed: 1200 }));
+    const state = createGameState(config, 99);
+
+    const filledRows = state.grid.filter(row => row.some(cell => cell !== null)).length;
+    assert.equal(filledRows, 2);
+    assert.ok(state.grid.flat().every(cell => cell === null || cell < 2));
+
+    fireBubble(config, state, Math.PI / 2);
+    assert.equal(Math.round(Math.hypot(state.projectile.vx, state.projectile.vy)), 1200);
+});
@@ -0,0 +1,88 @@
+/**
+ * Checks for the gameplay settings a custom level carries (validateLevelSettings), used by
+ * Level Creator pack imports and by the leaderboard server for custom level replays
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore } = require('./fixtures');
+
+const { validateLevelSettings, validateLevelRules, validateLayout } = BubbleCore;
+
+// Settings as the Level Creator saves them (4 bubble colors, bombs enabled)
+function level(overrides = {}) {
+    return Object.assign({
+        aimGuide: 'off',
+        pressureMode: 'rows',
+        ceilingDropShots: 8,
+        maxSwaps: null,
+        objective: 'clear',
+        shotLimit: null,
+        targetScore: 1000,
+        surviveRows: 5,
+        rules: { clusterMinSize: 3, bounceBonus: 0.35 },
+        specialBubbles: ['bomb'],
+        layout: [[0, 1, null, 'bomb'], [3, null]]
+    }, overrides);
+}
+
+test('a level as the Level Creator saves it is valid', () => {
+    assert.equal(validateLevelSettings(level(), 4), null);
+    assert.equal(validateLevelSettings(level({ layout: null, rules: {} }), 4), null);
+    assert.equal(validateLevelSettings({}, 4), null);
+});
+
+test('a layout that is not a list of rows is rejected', () => {
+    assert.match(validateLevelSettings(level({ layout: 'rows' }), 4), /list of rows/);
+    assert.match(validateLevelSettings(level({ layout: { 0: [0] } }), 4), /list of rows/);
+});
+
+test('a layout row that is not a list is rejected', () => {
+    assert.match(validateLevelSettings(level({ layout: [null] }), 4), /row 1 is not a list/);
+    assert.match(validateLevelSettings(level({ layout: [[0], 'abc'] }), 4), /row 2 is not a list/);
+});
+
+test('layout colors must be below the bubble count', () => {
+    assert.match(validateLevelSettings(level({ layout: [[0, 4]] }), 4), /unknown bubble 4/);
+    assert.match(validateLevelSettings(level({ layout: [[-1]] }), 4), /unknown bubble -1/);
+    assert.match(validateLevelSettings(level({ layout: [[1.5]] }), 4), /unknown bubble 1.5/);
+    assert.equal(validateLevelSettings(level({ layout: [[0, 4]] }), 5), null);
+});
+
+test('layout specials must be enabled on the level', () => {
+    assert.match(validateLevelSettings(level({ layout: [['stone']] }), 4), /unknown bubble "stone"/);
+    assert.match(validateLevelSettings(level({ layout: [['lava']] }), 4), /unknown bubble "lava"/);
+    assert.match(validateLevelSettings(level({ specialBubbles: [] }), 4), /unknown bubble "bomb"/);
+    assert.equal(validateLayout([['stone']], 4, ['stone']), null);
+});
+
+test('aimGuide must be a known mode', () => {
+    assert.match(validateLevelSettings(level({ aimGuide: 'always' }), 4), /aim guide/);
+    assert.match(validateLevelSettings(level({ aimGuide: true }), 4), /aim guide/);
+});
+
+test('pressureMode must be rows or ceiling', () => {
+    assert.equal(validateLevelSettings(level({ pressureMode: 'ceiling' }), 4), null);
+    assert.match(validateLevelSettings(level({ pressureMode: 'flood' }), 4), /pressure mode/);
+    assert.match(validateLevelSettings(level({ pressureMode: 1 }), 4), /pressure mode/);
+});
+
+test('ceilingDropShots must be a whole number above 0', () => {
+    assert.match(validateLevelSettings(level({ ceilingDropShots: 0 }), 4), /ceilingDropShots/);
+    assert.match(validateLevelSettings(level({ ceilingDropShots: 2.5 }), 4), /ceilingDropShots/);
+    assert.match(validateLevelSettings(level({ ceilingDropShots: '8' }), 4), /ceilingDropShots/);
+});
+
+test('special bubbles must be known types', () => {
+    assert.match(validateLevelSettings(level({ specialBubbles: 'bomb' }), 4), /special bubbles/);
+    assert.match(validateLevelSettings(level({ specialBubbles: ['bomb', 'lava'] }), 4), /special bubbles/);
+});
+
+test('rules must be known and inside their LEVEL_RULES range and step', () => {
+    assert.equal(validateLevelRules(null), null);
+    assert.match(validateLevelRules([]), /object/);
+    assert.match(validateLevelRules({ gravity: 2 }), /unknown rule gravity/);
+    assert.match(validateLevelRules({ clusterMinSize: 9 }), /clusterMinSize must be 2-6/);
+    assert.match(validateLevelRules({ bounceBonus: 0.33 }), /steps of 0.05/);
+    assert.match(validateLevelRules({ initialRows: '3' }), /initialRows/);
+});
@@ -0,0 +1,119 @@
+/**
+ * Level objectives (isObjectiveMet via checkWin), target bubbles and the shot limit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board } = require('./fixtures');
+
+const { placeBubble, isObjectiveMet, addNewRow } = BubbleCore;
+
+const level = BUILT_IN_LEVELS[2];
+
+test('score objective: reaching the target score wins with bubbles left', () => {
+    const config = levelConfig(level, { objective: 'score', targetScore: 30 });
+    const state = board(config, ['1 1 . 2 2 2 2']);
+
+    placeBubble(config, state, 0, 2, 1);
+
+    assert.equal(state.score, 30);
+    assert.equal(state.gameWon, true);
+});
+
+test('targets objective: dropping the last target wins, popping around it does not', () => {
+    const config = levelConfig(level, { objective: 'targets', specialBubbles: ['target'] });
+    const state = board(config, [
+        '1 1 . . 3',
+         'T . . . 3'
+    ]);
+
+    // Only the two 1s hold the target up; popping them drops it
+    const result = placeBubble(config, state, 0, 2, 1);
+
+    assert.deepEqual(result.dropped.map(cell => cell.color), ['target']);
+    assert.equal(state.gameWon, true);
+});
+
+test('targets never pop and survive bomb blasts', () => {
+    const config = levelConfig(level, { objective: 'targets', specialBubbles: ['bomb', 'target'] });
+    const state = board(config, [
+        '0 1 2 T 4 5 0 1 2 3',
+         '1 2 3 B 4 5 0 1 2 .'
+    ]);
+
+    const result = placeBubble(config, state, 2, 3, 0);
+
+    assert.equal(state.grid[0][3], 'target');
+    assert.ok(result.popped.some(cell => cell.color === 'bomb'));
+    assert.ok(!result.popped.some(cell => cell.color === 'target'));
+    assert.equal(state.gameWon, false);
+});
+
+test('new rows on a targets level never bring in targets', () => {
+    const config = levelConfig(level, { objective: 'targets', specialBubbles: ['target', 'stone'], specialChance: 0.5 });
+    const state = board(config, ['T']);
+
+    for (let i = 0; i < 10; i++) {
+        addNewRow(config, state);
+        assert.ok(!state.grid[0].includes('target'));
+    }
+    assert.ok(state.grid.some(row => row.includes('stone')));
+});
+
+test('survive objective counts new rows and ceiling drops', () => {
+    const rows = levelConfig(level, { objective: 'survive', surviveRows: 2 });
+    const state = board(rows, ['0 1 0 1 0 1']);
+    state.rowsAdded = 1;
+    assert.equal(isObjectiveMet(rows, state), false);
+
+    state.shotsWithoutPop = rows.shotsBeforeNewRow - 1;
+    const result = placeBubble(rows, state, 1, 10, 4);
+    assert.equal(result.newRow, true);
+    assert.equal(state.rowsAdded, 2);
+    assert.equal(state.gameWon, true);
+
+    const ceiling = levelConfig(level, { objective: 'survive', surviveRows: 2, pressureMode: 'ceiling' });
+    const dropped = board(ceiling, ['0 1 0 1 0 1']);
+    dropped.ceilingDrops = 2;
+    assert.equal(isObjectiveMet(ceiling, dropped), true);
+});
+
+test('the new row that completes a survive objective still loses if it crosses the lose line', () => {
+    const config = levelConfig(level, { objective: 'survive', surviveRows: 2 });
+    // Filled down to one row above the lose row
+    const state = board(config, Array.from({ length: config.loseRow }, () => '0 1 0 1 0 1'));
+    state.rowsAdded = 1;
+    state.shotsWithoutPop = config.shotsBeforeNewRow - 1;
+
+    const result = placeBubble(config, state, 1, 10, 4);
+    assert.equal(result.newRow, true);
+    assert.equal(state.rowsAdded, 2);
+    assert.equal(state.gameOver, true);
+    assert.equal(state.gameWon, false);
+});
+
+test('running out of shots loses unless the last shot wins', () => {
+    const config = levelConfig(level, { shotLimit: 2 });
+
+    const lost = board(config, ['1 1 . 2 2 2 2']);
+    lost.shots = 2;
+    placeBubble(config, lost, 1, 12, 3);
+    assert.equal(lost.gameOver, true);
+    assert.equal(lost.outOfShots, true);
+
+    const won = board(config, ['1 1']);
+    won.shots = 2;
+    placeBubble(config, won, 0, 2, 1);
+    assert.equal(won.gameWon, true);
+    assert.equal(won.outOfShots, false);
+});
+
+test('the default clear objective still needs an empty board', () => {
+    const config = levelConfig(level);
+    const state = board(config, ['1 1 . 2 2 2 2']);
+    state.score = 1e6;
+
+    placeBubble(config, state, 0, 2, 1);
+
+    assert.equal(state.gameWon, false);
+});
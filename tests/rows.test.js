@@ -0,0 +1,73 @@
+/**
+ * Row insertion (addNewRow) and the shots-before-new-row counter
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board, dump } = require('./fixtures');
+
+const { addNewRow, placeBubble } = BubbleCore;
+
+const config = levelConfig(BUILT_IN_LEVELS[0]);
+
+test('addNewRow shifts every row down and fills row 0', () => {
+    const state = board(config, [
+        '0 1 2 3 4 5 0 1 2 3',
+         '5 . . . . . . . . 4'
+    ]);
+
+    addNewRow(config, state);
+
+    const rows = dump(config, state);
+    assert.equal(rows.length, 3);
+    assert.equal(rows[1], '0 1 2 3 4 5 0 1 2 3');
+    assert.equal(rows[2], '5 . . . . . . . . 4');
+    assert.ok(state.grid[0].every(color => color >= 0 && color < config.numColors));
+});
+
+test('addNewRow draws its colors from the game seed', () => {
+    const a = board(config, [], 42);
+    const b = board(config, [], 42);
+
+    addNewRow(config, a);
+    addNewRow(config, b);
+
+    assert.deepEqual(a.grid[0], b.grid[0]);
+});
+
+test('addNewRow pushes the bottom row off the grid', () => {
+    const state = board(config, []);
+    state.grid[config.rows - 1][0] = 2;
+    state.grid[config.rows - 2][0] = 3;
+
+    addNewRow(config, state);
+
+    assert.equal(state.grid[config.rows - 1][0], 3);
+});
+
+test('a new row arrives after shotsBeforeNewRow misses and resets the counter', () => {
+    const state = board(config, ['0 1 0 1 0 1 0 1 0 1']);
+
+    for (let shot = 1; shot < config.shotsBeforeNewRow; shot++) {
+        // Alternate colors so the misses never form a cluster
+        const result = placeBubble(config, state, 1, shot, 2 + (shot % 2));
+        assert.equal(result.newRow, false);
+        assert.equal(state.shotsWithoutPop, shot);
+    }
+
+    const result = placeBubble(config, state, 2, 0, 4);
+
+    assert.equal(result.newRow, true);
+    assert.equal(state.shotsWithoutPop, 0);
+    assert.equal(dump(config, state)[1], '0 1 0 1 0 1 0 1 0 1');
+});
+
+test('a pop resets the miss counter without adding a row', () => {
+    const state = board(config, ['2 2 . . . . . . . .']);
+    state.shotsWithoutPop = config.shotsBeforeNewRow - 1;
+
+    const result = placeBubble(config, state, 0, 2, 2);
+
+    assert.equal(result.newRow, false);
+    assert.equal(state.shotsWithoutPop, 0);
+});
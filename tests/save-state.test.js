@@ -0,0 +1,51 @@
+/**
+ * Saving and resuming an unfinished game (serializeState, restoreState)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig } = require('./fixtures');
+
+const { createGameState, serializeState, restoreState, runShots, simulateShot } = BubbleCore;
+
+const config = levelConfig(BUILT_IN_LEVELS[2]);
+const angles = [1.2, 0.5, 2.6, 1.5708, 0.3, 2.9, 1.1, 2.0, 0.9, 1.4, 0.7, 2.2];
+
+test('a snapshot survives JSON and keeps every state field', () => {
+    const state = runShots(config, 31, angles.slice(0, 5));
+
+    const restored = restoreState(JSON.parse(JSON.stringify(serializeState(state))));
+
+    assert.deepEqual(Object.keys(restored).sort(), Object.keys(createGameState(config, 1)).sort());
+    assert.deepEqual(restored.grid, state.grid);
+    assert.equal(restored.score, state.score);
+    assert.deepEqual(restored.shotLog, state.shotLog);
+    assert.equal(restored.rng.state, state.rng.state);
+});
+
+test('a restored game plays on exactly like the original', () => {
+    const saved = serializeState(runShots(config, 31, angles.slice(0, 6)));
+
+    const resumed = restoreState(saved);
+    for (const angle of angles.slice(6)) {
+        if (resumed.gameOver || resumed.gameWon) break;
+        simulateShot(config, resumed, angle);
+    }
+
+    const uninterrupted = runShots(config, 31, angles);
+    assert.deepEqual(resumed.grid, uninterrupted.grid);
+    assert.equal(resumed.score, uninterrupted.score);
+    assert.equal(resumed.currentBubble, uninterrupted.currentBubble);
+    assert.equal(resumed.nextBubble, uninterrupted.nextBubble);
+});
+
+test('a restored state does not share data with the snapshot', () => {
+    const saved = serializeState(createGameState(config, 8));
+
+    const restored = restoreState(saved);
+    restored.grid[0][0] = null;
+    restored.shotLog.push(1);
+
+    assert.notEqual(saved.grid[0][0], null);
+    assert.deepEqual(saved.shotLog, []);
+});
@@ -0,0 +1,88 @@
+/**
+ * Combo multipliers, big-drop bonuses and the per-source score breakdown (placeBubble scoring)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board } = require('./fixtures');
+
+const { placeBubble, SCORE_SOURCES } = BubbleCore;
+
+const config = levelConfig(BUILT_IN_LEVELS[2]);
+
+const sum = breakdown => SCORE_SOURCES.reduce((total, source) => total + breakdown[source], 0);
+
+test('consecutive popping shots build a combo that a miss resets', () => {
+    const state = board(config, ['1 1 . 2 2 . 3 3 . 4 4 . 5 5']);
+
+    const first = placeBubble(config, state, 0, 2, 1);
+    const second = placeBubble(config, state, 0, 5, 2);
+    const third = placeBubble(config, state, 0, 8, 3);
+
+    assert.deepEqual([first.combo, second.combo, third.combo], [1, 2, 3]);
+    assert.deepEqual([first.points, second.points, third.points], [30, 45, 60]);
+    assert.equal(third.breakdown.combos, 30);
+
+    placeBubble(config, state, 1, 13, 0);
+    assert.equal(state.combo, 0);
+
+    const afterMiss = placeBubble(config, state, 0, 11, 4);
+    assert.equal(afterMiss.combo, 1);
+    assert.equal(afterMiss.points, 30);
+});
+
+test('the combo multiplier stops at maxComboMultiplier', () => {
+    const state = board(config, ['1 1']);
+    state.combo = 10;
+
+    const result = placeBubble(config, state, 0, 2, 1);
+
+    assert.equal(result.points, 30 * config.maxComboMultiplier);
+});
+
+test('the combo multiplies the bounce-boosted points', () => {
+    const state = board(config, ['1 1']);
+    state.combo = 1;
+    state.projectile = { bounceCount: 2 };
+
+    const result = placeBubble(config, state, 0, 2, 1);
+
+    // floor(30 * 1.5) = 45 with bounces, then * 1.5 for the second popping shot
+    assert.deepEqual(result.breakdown, { clusters: 30, drops: 0, bounces: 15, combos: 22, bigDrops: 0 });
+    assert.equal(result.points, 67);
+});
+
+test('dropping bigDropSize bubbles at once earns the big-drop bonus', () => {
+    const hanging = ['1 1 . . . . . . . . . . . . . . . . . . . . . 3'];
+    for (let row = 1; row <= config.bigDropSize; row++) {
+        hanging.push('2');
+    }
+
+    const big = placeBubble(config, board(config, hanging), 0, 2, 1);
+    assert.equal(big.dropped.length, config.bigDropSize);
+    assert.equal(big.breakdown.bigDrops, config.bigDropBonus);
+    assert.equal(big.points, 30 + config.bigDropSize * 20 + config.bigDropBonus);
+
+    const small = placeBubble(config, board(config, hanging.slice(0, -1)), 0, 2, 1);
+    assert.equal(small.breakdown.bigDrops, 0);
+});
+
+test('the game breakdown adds up to the score', () => {
+    const state = BubbleCore.runShots(config, 4321, [1.2, 0.5, 2.6, 1.5708, 0.3, 2.9, 1.1, 2.0, 0.9, 1.4, 0.7, 2.2]);
+
+    assert.ok(state.score > 0);
+    assert.equal(sum(state.scoreBreakdown), state.score);
+});
+
+test('scoring weights come from the config', () => {
+    const custom = levelConfig(BUILT_IN_LEVELS[2], { pointsPerPop: 5, pointsPerDrop: 50, bounceBonus: 1 });
+    const state = board(custom, [
+        '1 1 . . . . . . . . . . . . . . . . . . . . . 3',
+         '2'
+    ]);
+    state.projectile = { bounceCount: 1 };
+
+    const result = placeBubble(custom, state, 0, 2, 1);
+
+    assert.deepEqual(result.breakdown, { clusters: 15, drops: 50, bounces: 65, combos: 0, bigDrops: 0 });
+});
@@ -0,0 +1,182 @@
+/**
+ * Snap-target selection (snapProjectile, calculateSnapTarget) and full shots
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board } = require('./fixtures');
+
+const { gridToWorld, worldToGrid, snapProjectile, calculateSnapTarget, simulateShot } = BubbleCore;
+
+test('snapProjectile picks the empty neighbor closest to the projectile', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    const state = board(config, ['. . . . 0 . . . . .']);
+
+    const nearCell = (row, col) => {
+        const pos = gridToWorld(config, row, col);
+        return snapProjectile(config, state, pos.x + 1, pos.y + 1, 0, 4);
+    };
+
+    assert.deepEqual(nearCell(1, 3), { row: 1, col: 3 });
+    assert.deepEqual(nearCell(1, 4), { row: 1, col: 4 });
+    assert.deepEqual(nearCell(0, 3), { row: 0, col: 3 });
+    assert.deepEqual(nearCell(0, 5), { row: 0, col: 5 });
+});
+
+test('snapProjectile stays inside the grid at the last column of an odd row', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[1]);
+    const last = config.cols - 1;
+    const state = board(config, [
+        '. . . . . . . . . . . . . . . 0',
+         '. . . . . . . . . . . . . . . 0'
+    ]);
+
+    // Coming down the right wall, below the odd-row bubble
+    const cell = snapProjectile(config, state, config.width - config.radius, 100, 1, last);
+    assert.deepEqual(cell, { row: 2, col: last });
+});
+
+test('snapProjectile falls back to the nearest empty cell when the hit bubble is boxed in', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    const state = board(config, [
+        '0 0 . . . . . . . .',
+         '0 . . . . . . . . .'
+    ]);
+
+    const free = gridToWorld(config, 1, 1);
+    assert.deepEqual(snapProjectile(config, state, free.x, free.y, 0, 0), { row: 1, col: 1 });
+
+    const taken = gridToWorld(config, 0, 1);
+    assert.equal(snapProjectile(config, state, taken.x, taken.y, 0, 0), null);
+});
+
+test('calculateSnapTarget is null in open space and at the ceiling snaps to row 0', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const state = board(config, ['0']);
+
+    assert.equal(calculateSnapTarget(config, state, 400, 300), null);
+    assert.deepEqual(calculateSnapTarget(config, state, 400, config.radius), worldToGrid(config, 400, config.radius));
+});
+
+for (const level of BUILT_IN_LEVELS) {
+    test(`${level.name}: a straight shot on an empty board sticks to the ceiling`, () => {
+        const config = levelConfig(level);
+        const state = board(config, []);
+
+        const result = simulateShot(config, state, Math.PI / 2);
+
+        const expected = worldToGrid(config, config.shooterX, config.radius);
+        assert.equal(result.row, 0);
+        assert.equal(result.col, expected.col);
+        assert.notEqual(state.grid[0][expected.col], null);
+        assert.equal(state.projectile, null);
+    });
+
+    test(`${level.name}: a wall-bounce shot lands on the ceiling inside the grid`, () => {
+        const config = levelConfig(level);
+        const state = board(config, []);
+
+        const result = simulateShot(config, state, 20 * Math.PI / 180);
+
+        assert.equal(result.row, 0);
+        assert.ok(result.col >= 0 && result.col < config.cols);
+    });
+}
+
+test('a straight shot into a ceiling bubble snaps below the hit point', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    const state = board(config, ['. . . . . 0 . . . .']);
+    state.currentBubble = 3;
+
+    // Shooter x=400 is left of (0,5)'s center at x=418, so the bubble lands bottom-left
+    const result = simulateShot(config, state, Math.PI / 2);
+
+    assert.deepEqual({ row: result.row, col: result.col }, { row: 1, col: 4 });
+    assert.equal(state.grid[1][4], 3);
+});
+
+test('the same angles on the same seed always give the same game', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const angles = [1.2, 0.5, 2.6, 1.5708, 0.3, 2.9, 1.1, 2.0, 0.9, 1.4];
+
+    const a = BubbleCore.runShots(config, 1234, angles);
+    const b = BubbleCore.runShots(config, 1234, angles);
+
+    assert.deepEqual(a.grid, b.grid);
+    assert.equal(a.score, b.score);
+    assert.deepEqual(a.shotLog, b.shotLog);
+});
+
+test('a long frame step cannot tunnel through a bubble', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const state = board(config, [
+        '0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0',
+         '. . . . . . . . . . . . . . . . . . . . . . . .',
+        '. . . . . . . . . . . . 1 . . . . . . . . . . .'
+    ]);
+    const pos = gridToWorld(config, 2, 12);
+
+    // 90px in one step: far enough to jump past the 32px bubble
+    state.projectile = { x: pos.x + 2, y: pos.y + 72, vx: 0, vy: -900, color: 2, active: true, bounceCount: 0 };
+    const result = BubbleCore.updateProjectile(config, state, 0.1);
+
+    assert.deepEqual({ row: result.row, col: result.col }, { row: 3, col: 12 });
+});
+
+test('the landing cell does not depend on the frame step', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const angles = [0.4, 0.9, 1.3, 1.5708, 1.9, 2.4, 2.8];
+
+    const play = (dt) => {
+        const state = BubbleCore.createGameState(config, 777);
+        for (const angle of angles) {
+            BubbleCore.fireBubble(config, state, angle);
+            while (state.projectile) {
+                BubbleCore.updateProjectile(config, state, dt);
+            }
+        }
+        return state;
+    };
+
+    const reference = play(BubbleCore.PHYSICS_STEP);
+    for (const dt of [1 / 60, 1 / 30, 0.1]) {
+        const state = play(dt);
+        assert.deepEqual(state.grid, reference.grid, `dt=${dt}`);
+        assert.equal(state.score, reference.score, `dt=${dt}`);
+    }
+});
+
+for (const level of BUILT_IN_LEVELS) {
+    test(`${level.name}: predictTrajectory lands where the shot actually lands`, () => {
+        const config = levelConfig(level);
+
+        for (let degrees = 10; degrees <= 170; degrees += 4) {
+            const angle = degrees * Math.PI / 180;
+            const state = BubbleCore.createGameState(config, 2024);
+            const before = JSON.stringify(state);
+
+            const predicted = BubbleCore.predictTrajectory(config, state, angle);
+            assert.equal(JSON.stringify(state), before, 'prediction must not touch the state');
+            assert.equal(predicted.points.length, predicted.bounces + 2);
+
+            const result = simulateShot(config, state, angle);
+            assert.deepEqual(predicted.target, { row: result.row, col: result.col }, `${degrees}°`);
+        }
+    });
+}
+
+test('predictTrajectory stops at the bounce limit', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    const state = board(config, []);
+    const angle = 20 * Math.PI / 180;
+
+    const full = BubbleCore.predictTrajectory(config, state, angle);
+    const firstBounce = BubbleCore.predictTrajectory(config, state, angle, 1);
+
+    assert.ok(full.bounces >= 1);
+    assert.equal(full.target.row, 0);
+    assert.equal(firstBounce.bounces, 1);
+    assert.equal(firstBounce.target, null);
+    assert.deepEqual(firstBounce.points, full.points.slice(0, 2));
+    assert.equal(firstBounce.points[1].x, config.width - config.radius);
+});
@@ -0,0 +1,134 @@
+/**
+ * Special bubbles: bomb blasts, rainbow wildcards, stone and ice
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board, dump, sortCells } = require('./fixtures');
+
+const { createGameState, findCluster, placeBubble, addNewRow, checkWin } = BubbleCore;
+
+const config = levelConfig(BUILT_IN_LEVELS[0], { specialBubbles: ['bomb', 'rainbow', 'stone', 'ice'] });
+
+test('rainbow bubbles join and connect clusters of any color', () => {
+    const state = board(config, ['1 R R 2 . . . . . .']);
+
+    assert.deepEqual(sortCells(findCluster(config, state, 0, 0, 1)), [
+        { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }
+    ]);
+    assert.equal(findCluster(config, state, 0, 3, 2).length, 3);
+});
+
+test('a rainbow completes a cluster and pops with it', () => {
+    const state = board(config, ['1 R . . . . . . . 3']);
+
+    const result = placeBubble(config, state, 0, 2, 1);
+
+    assert.equal(result.popped.length, 3);
+    assert.ok(result.popped.some(cell => cell.color === 'rainbow'));
+    assert.deepEqual(dump(config, state), ['. . . . . . . . . 3']);
+});
+
+test('a bomb touching the new bubble clears its radius but not stone', () => {
+    const state = board(config, [
+        '0 1 2 S 4 5 0 1 2 3',
+         '1 2 3 B 4 5 0 1 2 .'
+    ]);
+
+    const result = placeBubble(config, state, 2, 3, 0);
+
+    // Two hex steps around (1,3), including the new bubble; the stone stays put
+    assert.deepEqual(dump(config, state), [
+        '0 1 . S . . 0 1 2 3',
+        '1 . . . . . 0 1 2 .'
+    ]);
+    assert.equal(result.popped.length, 9);
+    assert.ok(result.popped.some(cell => cell.color === 'bomb'));
+    assert.equal(result.points, 90);
+    assert.equal(state.shotsWithoutPop, 0);
+});
+
+test('a blast sets off other bombs in range', () => {
+    const chain = levelConfig(BUILT_IN_LEVELS[0], { specialBubbles: ['bomb'], bombRadius: 1 });
+    const state = board(chain, [
+        '0 1 B B 3 4 5 0 1 2',
+         '. . . . . . . . . .'
+    ]);
+
+    placeBubble(chain, state, 1, 1, 2);
+
+    assert.deepEqual(dump(chain, state), ['0 . . . . 4 5 0 1 2']);
+});
+
+test('ice cracks on the first pop next to it and shatters on the second', () => {
+    const state = board(config, [
+        '0 I 4 5 4 5 4 5 4 5',
+         '1 1 . . . . . . . .'
+    ]);
+
+    placeBubble(config, state, 1, 2, 1);
+    assert.equal(state.grid[0][1], BubbleCore.CRACKED_ICE);
+
+    state.grid[1][0] = 2;
+    state.grid[1][1] = 2;
+    const result = placeBubble(config, state, 1, 2, 2);
+
+    assert.equal(state.grid[0][1], null);
+    assert.ok(result.popped.some(cell => cell.color === BubbleCore.CRACKED_ICE));
+});
+
+test('ice does not take part in clusters', () => {
+    const state = board(config, ['I I . . . . . . . .']);
+
+    const result = placeBubble(config, state, 0, 2, 0);
+
+    assert.equal(result.popped.length, 0);
+    assert.deepEqual(dump(config, state), ['I I 0 . . . . . . .']);
+});
+
+test('stone only falls when disconnected', () => {
+    const state = board(config, [
+        '2 2 . . . . . . . 3',
+         'S . . . . . . . . .'
+    ]);
+
+    const result = placeBubble(config, state, 0, 2, 2);
+
+    assert.deepEqual(result.dropped.map(cell => cell.color), ['stone']);
+    assert.deepEqual(dump(config, state), ['. . . . . . . . . 3']);
+});
+
+test('stone left on the board does not block the win', () => {
+    const state = board(config, ['S 0 0 . . . . . . .']);
+
+    placeBubble(config, state, 0, 3, 0);
+
+    assert.equal(state.gameWon, true);
+    assert.deepEqual(dump(config, state), ['S . . . . . . . . .']);
+
+    state.grid[0][4] = 'ice';
+    state.gameWon = false;
+    checkWin(config, state);
+    assert.equal(state.gameWon, false);
+});
+
+test('layouts can place enabled special bubbles only', () => {
+    const layout = [['bomb', 'rainbow', 'stone', 'ice', 0]];
+    const state = createGameState(levelConfig(BUILT_IN_LEVELS[0], { layout, specialBubbles: ['rainbow', 'ice'] }), 1);
+
+    assert.deepEqual(state.grid[0].slice(0, 5), [null, 'rainbow', null, 'ice', 0]);
+});
+
+test('levels without special bubbles keep the same random boards', () => {
+    const plain = levelConfig(BUILT_IN_LEVELS[2]);
+    const a = createGameState(plain, 123);
+    addNewRow(plain, a);
+
+    assert.ok(a.grid.flat().every(cell => cell === null || typeof cell === 'number'));
+
+    // Same seed with specials enabled draws extra numbers, so the boards differ
+    const special = levelConfig(BUILT_IN_LEVELS[2], { specialBubbles: ['stone'], specialChance: 0.5 });
+    const b = createGameState(special, 123);
+    assert.ok(b.grid.flat().includes('stone'));
+    assert.notDeepEqual(a.grid, b.grid);
+});
@@ -0,0 +1,70 @@
+/**
+ * Swapping the current and next bubble (swapBubbles, getSwapsLeft) and replaying swaps
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BubbleCore, BUILT_IN_LEVELS, levelConfig, board } = require('./fixtures');
+
+const { swapBubbles, getSwapsLeft, runShots, SWAP } = BubbleCore;
+
+test('swapBubbles exchanges current and next and logs the swap', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0]);
+    const state = board(config, []);
+    state.currentBubble = 1;
+    state.nextBubble = 4;
+
+    assert.equal(swapBubbles(config, state), true);
+
+    assert.equal(state.currentBubble, 4);
+    assert.equal(state.nextBubble, 1);
+    assert.equal(state.swaps, 1);
+    assert.deepEqual(state.shotLog, [SWAP]);
+    assert.equal(getSwapsLeft(config, state), null);
+});
+
+test('swapBubbles stops at the level limit', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0], { maxSwaps: 2 });
+    const state = board(config, []);
+    state.currentBubble = 1;
+    state.nextBubble = 4;
+
+    assert.equal(swapBubbles(config, state), true);
+    assert.equal(swapBubbles(config, state), true);
+    assert.equal(getSwapsLeft(config, state), 0);
+
+    assert.equal(swapBubbles(config, state), false);
+    assert.equal(state.currentBubble, 1);
+    assert.equal(state.shotLog.length, 2);
+});
+
+test('a limit of 0 turns swapping off', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[0], { maxSwaps: 0 });
+    const state = board(config, []);
+
+    assert.equal(swapBubbles(config, state), false);
+    assert.deepEqual(state.shotLog, []);
+});
+
+test('swapping during a shot gives the same game as swapping after it lands', () => {
+    const config = levelConfig(BUILT_IN_LEVELS[2]);
+    const angles = [1.2, 0.5, 2.6, 1.5708, 0.3, 2.9];
+
+    // Swap right after every other shot is fired, while the bubble is still flying
+    const live = BubbleCore.createGameState(config, 55);
+    angles.forEach((angle, i) => {
+        BubbleCore.fireBubble(config, live, angle);
+        if (i % 2 === 0) swapBubbles(config, live);
+        while (live.projectile) {
+            BubbleCore.updateProjectile(config, live, BubbleCore.PHYSICS_STEP);
+        }
+    });
+
+    const replayed = runShots(config, 55, live.shotLog);
+
+    assert.equal(live.shotLog.filter(entry => entry === SWAP).length, 3);
+    assert.deepEqual(replayed.grid, live.grid);
+    assert.equal(replayed.score, live.score);
+    assert.equal(replayed.currentBubble, live.currentBubble);
+    assert.equal(replayed.nextBubble, live.nextBubble);
+});